@@ -0,0 +1,209 @@
+const IndexKey = require('./IndexKey.js');
+
+// An ordered index: a B+ tree whose leaves are linked in key order. Each key
+// maps to the positions of the rows holding it. Supports equality lookups,
+// range scans in either direction and full ordered iteration.
+class BTreeIndex {
+  constructor(order = 32) {
+    this.type = 'btree';
+    this.ordered = true;
+    this.order = order;
+    this.clear();
+  }
+
+  clear() {
+    this.root = { leaf: true, keys: [], values: [], next: null, prev: null };
+    this.size = 0;
+  }
+
+  // First index whose key is >= key
+  lowerBound(keys, key) {
+    let low = 0;
+    let high = keys.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (IndexKey.compare(keys[mid], key) < 0) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  }
+
+  // First index whose key is > key
+  upperBound(keys, key) {
+    let low = 0;
+    let high = keys.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (IndexKey.compare(keys[mid], key) <= 0) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  }
+
+  findLeaf(key) {
+    let node = this.root;
+    while (!node.leaf) {
+      node = node.children[this.upperBound(node.keys, key)];
+    }
+    return node;
+  }
+
+  firstLeaf() {
+    let node = this.root;
+    while (!node.leaf) node = node.children[0];
+    return node;
+  }
+
+  lastLeaf() {
+    let node = this.root;
+    while (!node.leaf) node = node.children[node.children.length - 1];
+    return node;
+  }
+
+  insert(key, position) {
+    const split = this.insertInto(this.root, key, position);
+    if (split) {
+      this.root = { leaf: false, keys: [split.key], children: [this.root, split.node] };
+    }
+  }
+
+  // Returns the separator key and new right sibling when the node splits
+  insertInto(node, key, position) {
+    if (node.leaf) {
+      const i = this.lowerBound(node.keys, key);
+      if (i < node.keys.length && IndexKey.compare(node.keys[i], key) === 0) {
+        node.values[i].push(position);
+        return null;
+      }
+
+      node.keys.splice(i, 0, key);
+      node.values.splice(i, 0, [position]);
+      this.size++;
+      if (node.keys.length <= this.order) return null;
+
+      const mid = node.keys.length >> 1;
+      const right = {
+        leaf: true,
+        keys: node.keys.splice(mid),
+        values: node.values.splice(mid),
+        next: node.next,
+        prev: node
+      };
+      if (node.next) node.next.prev = right;
+      node.next = right;
+      return { key: right.keys[0], node: right };
+    }
+
+    const i = this.upperBound(node.keys, key);
+    const split = this.insertInto(node.children[i], key, position);
+    if (!split) return null;
+
+    node.keys.splice(i, 0, split.key);
+    node.children.splice(i + 1, 0, split.node);
+    if (node.keys.length <= this.order) return null;
+
+    const mid = node.keys.length >> 1;
+    const separator = node.keys[mid];
+    const right = {
+      leaf: false,
+      keys: node.keys.splice(mid + 1),
+      children: node.children.splice(mid + 1)
+    };
+    node.keys.pop();
+    return { key: separator, node: right };
+  }
+
+  // Leaves may become sparse after removals; they are compacted on the next rebuild
+  remove(key, position) {
+    const leaf = this.findLeaf(key);
+    const i = this.lowerBound(leaf.keys, key);
+    if (i >= leaf.keys.length || IndexKey.compare(leaf.keys[i], key) !== 0) return;
+
+    leaf.values[i] = leaf.values[i].filter(p => p !== position);
+    if (leaf.values[i].length === 0) {
+      leaf.keys.splice(i, 1);
+      leaf.values.splice(i, 1);
+      this.size--;
+    }
+  }
+
+  get(key) {
+    const leaf = this.findLeaf(key);
+    const i = this.lowerBound(leaf.keys, key);
+    if (i < leaf.keys.length && IndexKey.compare(leaf.keys[i], key) === 0) {
+      return [...leaf.values[i]];
+    }
+    return [];
+  }
+
+  // Replaces every position p with fn(p)
+  mapPositions(fn) {
+    for (let leaf = this.firstLeaf(); leaf; leaf = leaf.next) {
+      for (const positions of leaf.values) {
+        positions.forEach((position, i) => {
+          positions[i] = fn(position);
+        });
+      }
+    }
+  }
+
+  // The contents as [key, positions] pairs in key order, for restore
+  serialize() {
+    const entries = [];
+    for (let leaf = this.firstLeaf(); leaf; leaf = leaf.next) {
+      leaf.keys.forEach((key, i) => entries.push([key, leaf.values[i]]));
+    }
+    return entries;
+  }
+
+  restore(entries) {
+    this.clear();
+    for (const [key, positions] of entries) {
+      positions.forEach(position => this.insert(key, position));
+    }
+  }
+
+  // Yields row positions with keys between the bounds, in key order. Omitted
+  // bounds are open-ended; reverse walks from the highest key down.
+  *range({ low, high, lowInclusive = true, highInclusive = true, reverse = false } = {}) {
+    const hasLow = low !== undefined;
+    const hasHigh = high !== undefined;
+
+    if (!reverse) {
+      let leaf = hasLow ? this.findLeaf(low) : this.firstLeaf();
+      let i = !hasLow ? 0 : lowInclusive ? this.lowerBound(leaf.keys, low) : this.upperBound(leaf.keys, low);
+
+      while (leaf) {
+        for (; i < leaf.keys.length; i++) {
+          if (hasHigh) {
+            const order = IndexKey.compare(leaf.keys[i], high);
+            if (order > 0 || (order === 0 && !highInclusive)) return;
+          }
+          yield* leaf.values[i];
+        }
+        leaf = leaf.next;
+        i = 0;
+      }
+      return;
+    }
+
+    let leaf = hasHigh ? this.findLeaf(high) : this.lastLeaf();
+    let i = !hasHigh ? leaf.keys.length - 1
+      : (highInclusive ? this.upperBound(leaf.keys, high) : this.lowerBound(leaf.keys, high)) - 1;
+
+    while (leaf) {
+      for (; i >= 0; i--) {
+        if (hasLow) {
+          const order = IndexKey.compare(leaf.keys[i], low);
+          if (order < 0 || (order === 0 && !lowInclusive)) return;
+        }
+        const positions = leaf.values[i];
+        for (let j = positions.length - 1; j >= 0; j--) yield positions[j];
+      }
+      leaf = leaf.prev;
+      i = leaf ? leaf.keys.length - 1 : -1;
+    }
+  }
+}
+
+module.exports = BTreeIndex;
@@ -0,0 +1,97 @@
+// Pages kept in memory when nothing else limits the pool
+const DEFAULT_CAPACITY = 1024;
+
+// Caches the pages of paged tables, shared by every table of a database.
+// Once it holds more than its capacity, the least recently used clean pages
+// are dropped. Dirty pages stay until a checkpoint writes them, so a large
+// transaction can take the pool past its capacity until then.
+class BufferPool {
+  constructor(capacity = DEFAULT_CAPACITY) {
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      throw new Error(`Buffer pool size must be a positive number of pages but got ${JSON.stringify(capacity)}`);
+    }
+    this.capacity = capacity;
+    // Kept in least to most recently used order: { owner, pageNo, buffer, dirty }
+    this.pages = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  static key(owner, pageNo) {
+    return `${owner.id}:${pageNo}`;
+  }
+
+  // Returns a page of owner, calling read() to fetch it when it is not cached
+  get(owner, pageNo, read) {
+    const key = BufferPool.key(owner, pageNo);
+    const entry = this.pages.get(key);
+    if (entry) {
+      this.hits++;
+      this.pages.delete(key);
+      this.pages.set(key, entry);
+      return entry.buffer;
+    }
+
+    this.misses++;
+    const buffer = read();
+    this.evict(this.capacity - 1);
+    this.pages.set(key, { owner, pageNo, buffer, dirty: false });
+    return buffer;
+  }
+
+  // Adds a page that does not exist on disk yet
+  add(owner, pageNo, buffer) {
+    this.evict(this.capacity - 1);
+    this.pages.set(BufferPool.key(owner, pageNo), { owner, pageNo, buffer, dirty: true });
+  }
+
+  // Callers mark a page dirty as soon as they change it, before fetching any
+  // other page, so it cannot be evicted with the change
+  markDirty(owner, pageNo) {
+    const entry = this.pages.get(BufferPool.key(owner, pageNo));
+    if (!entry) {
+      throw new Error(`Page ${pageNo} is not in the buffer pool`);
+    }
+    entry.dirty = true;
+  }
+
+  // The dirty pages of owner, by page number
+  dirtyPages(owner) {
+    return [...this.pages.values()]
+      .filter(entry => entry.owner === owner && entry.dirty)
+      .sort((a, b) => a.pageNo - b.pageNo);
+  }
+
+  markClean(owner) {
+    for (const entry of this.pages.values()) {
+      if (entry.owner === owner) entry.dirty = false;
+    }
+    this.evict();
+  }
+
+  // Forgets every page of owner, dirty or not
+  discard(owner) {
+    for (const [key, entry] of this.pages) {
+      if (entry.owner === owner) this.pages.delete(key);
+    }
+  }
+
+  // Drops least recently used clean pages until at most limit are left, so
+  // a page is never dropped by its own arrival
+  evict(limit = this.capacity) {
+    if (this.pages.size <= limit) return;
+    for (const [key, entry] of this.pages) {
+      if (this.pages.size <= limit) break;
+      if (!entry.dirty) this.pages.delete(key);
+    }
+  }
+
+  stats() {
+    const dirty = [...this.pages.values()].filter(entry => entry.dirty).length;
+    return { capacity: this.capacity, pages: this.pages.size, dirty, hits: this.hits, misses: this.misses };
+  }
+}
+
+BufferPool.DEFAULT_CAPACITY = DEFAULT_CAPACITY;
+
+module.exports = BufferPool;
@@ -0,0 +1,234 @@
+// The column types understood by tables. SQL type names and their aliases map
+// to a canonical type; the JavaScript type names used by older schemas
+// (string, number, object, array) remain types of their own and only accept
+// values that already have that type. Older schemas' date also remains, and
+// keeps the time of day, so SQL DATE is stored as sqldate.
+const TYPES = {
+  integer: { storage: 'number', sql: 'INTEGER', min: -2147483648, max: 2147483647 },
+  bigint: { storage: 'number', sql: 'BIGINT', min: Number.MIN_SAFE_INTEGER, max: Number.MAX_SAFE_INTEGER },
+  decimal: { storage: 'number', sql: 'DECIMAL' },
+  real: { storage: 'number', sql: 'REAL' },
+  varchar: { storage: 'string', sql: 'VARCHAR' },
+  text: { storage: 'string', sql: 'TEXT' },
+  boolean: { storage: 'boolean', sql: 'BOOLEAN' },
+  sqldate: { storage: 'date', sql: 'DATE' },
+  timestamp: { storage: 'date', sql: 'TIMESTAMP' },
+  json: { storage: 'json', sql: 'JSON' },
+  string: { storage: 'string', strict: true },
+  number: { storage: 'number', strict: true },
+  object: { storage: 'object', strict: true },
+  array: { storage: 'array', strict: true },
+  date: { storage: 'date' }
+};
+
+// SQL type names that mean something else in a schema
+const SQL_TYPES = {
+  date: 'sqldate'
+};
+
+const ALIASES = {
+  int: 'integer', int4: 'integer', smallint: 'integer', tinyint: 'integer', mediumint: 'integer',
+  int8: 'bigint',
+  numeric: 'decimal', dec: 'decimal',
+  float: 'real', float4: 'real', float8: 'real', double: 'real', 'double precision': 'real',
+  char: 'varchar', character: 'varchar', 'character varying': 'varchar', nvarchar: 'varchar', nchar: 'varchar',
+  clob: 'text',
+  bool: 'boolean',
+  datetime: 'timestamp',
+  jsonb: 'json'
+};
+
+const BOOLEAN_STRINGS = {
+  true: true, t: true, yes: true, y: true, on: true, 1: true,
+  false: false, f: false, no: false, n: false, off: false, 0: false
+};
+
+class DataType {
+  // The canonical name for a type name or alias, or null when it is unknown
+  static lookup(name) {
+    if (typeof name !== 'string') return null;
+    const key = name.toLowerCase();
+    if (TYPES[key]) return key;
+    return ALIASES[key] || null;
+  }
+
+  // Turns a SQL type such as VARCHAR(20) or DECIMAL(10, 2) into the column
+  // fields stored in a schema: { type, length, precision, scale }
+  static resolve(name, args = []) {
+    const type = (typeof name === 'string' && SQL_TYPES[name.toLowerCase()]) || DataType.lookup(name);
+    if (!type) {
+      throw new Error(`Unknown data type '${name}'`);
+    }
+
+    const def = { type };
+    switch (type) {
+      case 'varchar':
+        if (args.length > 1) throw new Error(`${name.toUpperCase()} takes a single length`);
+        if (args.length === 1) {
+          if (args[0] < 1) throw new Error(`${name.toUpperCase()} length must be at least 1`);
+          def.length = args[0];
+        }
+        break;
+      case 'decimal':
+        if (args.length > 2) throw new Error(`${name.toUpperCase()} takes a precision and a scale`);
+        if (args.length > 0) {
+          def.precision = args[0];
+          def.scale = args.length > 1 ? args[1] : 0;
+          if (def.precision < 1 || def.scale > def.precision) {
+            throw new Error(`Invalid precision or scale for ${name.toUpperCase()}(${args.join(', ')})`);
+          }
+        }
+        break;
+      case 'integer':
+      case 'bigint':
+        // Display widths such as INT(11) carry no meaning here
+        break;
+      default:
+        if (args.length > 0) throw new Error(`${name.toUpperCase()} does not take arguments`);
+    }
+    return def;
+  }
+
+  // The kind of JavaScript value a column holds: number, string, boolean,
+  // date, json, object or array (null for untyped columns)
+  static storage(type) {
+    const canonical = DataType.lookup(type);
+    return canonical ? TYPES[canonical].storage : null;
+  }
+
+  // A readable name such as VARCHAR(20), for error messages
+  static describe(def) {
+    const type = DataType.lookup(def.type);
+    if (!type) return String(def.type);
+
+    const info = TYPES[type];
+    if (!info.sql) return type;
+    if (type === 'varchar' && def.length) return `VARCHAR(${def.length})`;
+    if (type === 'decimal' && def.precision) return `DECIMAL(${def.precision},${def.scale || 0})`;
+    return info.sql;
+  }
+
+  // Converts a value for storage in a column ({ type, length, precision,
+  // scale }), throwing when it cannot be represented. Used for explicit
+  // conversions such as ALTER COLUMN ... TYPE and DEFAULT values.
+  static cast(value, def) {
+    if (value === null || value === undefined) return value;
+
+    const type = DataType.lookup(def.type);
+    if (!type) return value;
+
+    switch (type) {
+      case 'integer':
+      case 'bigint': {
+        const number = DataType.toNumber(value, def);
+        if (!Number.isInteger(number)) {
+          throw new Error(`expected an integer for ${DataType.describe(def)} but got ${JSON.stringify(value)}`);
+        }
+        if (number < TYPES[type].min || number > TYPES[type].max) {
+          throw new Error(`${number} is out of range for ${DataType.describe(def)}`);
+        }
+        return number;
+      }
+
+      case 'decimal': {
+        let number = DataType.toNumber(value, def);
+        if (def.precision) {
+          const scale = def.scale || 0;
+          number = Number(number.toFixed(scale));
+          if (Math.abs(number) >= Math.pow(10, def.precision - scale)) {
+            throw new Error(`${number} is out of range for ${DataType.describe(def)}`);
+          }
+        }
+        return number;
+      }
+
+      case 'real':
+      case 'number':
+        return DataType.toNumber(value, def);
+
+      case 'varchar':
+      case 'text':
+      case 'string': {
+        let text;
+        if (typeof value === 'string') text = value;
+        else if (typeof value === 'number' || typeof value === 'boolean') text = String(value);
+        else if (value instanceof Date && !isNaN(value)) text = value.toISOString();
+        else throw new Error(`expected text for ${DataType.describe(def)} but got ${JSON.stringify(value)}`);
+
+        if (def.length && text.length > def.length) {
+          throw new Error(`value is too long for ${DataType.describe(def)} (${text.length} characters)`);
+        }
+        return text;
+      }
+
+      case 'boolean': {
+        if (typeof value === 'boolean') return value;
+        if (typeof value === 'number' && (value === 0 || value === 1)) return value === 1;
+        if (typeof value === 'string' && value.trim().toLowerCase() in BOOLEAN_STRINGS) {
+          return BOOLEAN_STRINGS[value.trim().toLowerCase()];
+        }
+        throw new Error(`expected a boolean but got ${JSON.stringify(value)}`);
+      }
+
+      case 'sqldate':
+      case 'timestamp':
+      case 'date': {
+        const date = value instanceof Date ? new Date(value.getTime())
+          : typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+        if (!date || isNaN(date)) {
+          throw new Error(`expected a ${type === 'timestamp' ? 'timestamp' : 'date'} but got ${JSON.stringify(value)}`);
+        }
+        if (type === 'sqldate') date.setUTCHours(0, 0, 0, 0);
+        return date;
+      }
+
+      case 'json':
+        if (typeof value === 'string') {
+          try {
+            return JSON.parse(value);
+          } catch (error) {
+            throw new Error(`invalid JSON: ${JSON.stringify(value)}`);
+          }
+        }
+        return value;
+
+      case 'object':
+        if (typeof value !== 'object' || Array.isArray(value)) throw new Error('expected object');
+        return value;
+
+      case 'array':
+        if (!Array.isArray(value)) throw new Error('expected array');
+        return value;
+    }
+  }
+
+  // Converts a value written by INSERT or UPDATE. SQL types accept anything
+  // cast() can convert; the JavaScript types of older schemas require the
+  // value to have that type already.
+  static assign(value, def) {
+    if (value === null || value === undefined) return value;
+
+    const type = DataType.lookup(def.type);
+    if (type && TYPES[type].strict) {
+      const storage = TYPES[type].storage;
+      const matches = storage === 'number' ? typeof value === 'number' && !isNaN(value)
+        : storage === 'string' ? typeof value === 'string'
+        : true;
+      if (!matches) throw new Error(`expected ${type}`);
+    }
+    return DataType.cast(value, def);
+  }
+
+  static toNumber(value, def) {
+    let number = NaN;
+    if (typeof value === 'number') number = value;
+    else if (typeof value === 'string' && value.trim() !== '') number = Number(value);
+
+    if (!isFinite(number)) {
+      throw new Error(`expected a number for ${DataType.describe(def)} but got ${JSON.stringify(value)}`);
+    }
+    return number;
+  }
+}
+
+module.exports = DataType;
@@ -1,99 +1,885 @@
-const fs = require('fs');
 const path = require('path');
 const Table = require('./Table.js');
+const Transaction = require('./Transaction.js');
+const BufferPool = require('./BufferPool.js');
+const DatabaseLock = require('./DatabaseLock.js');
+const WriteAheadLog = require('./WriteAheadLog.js');
+const FileSystemAdapter = require('./FileSystemAdapter.js');
+const MemoryAdapter = require('./MemoryAdapter.js');
+const DataType = require('./DataType.js');
+const Parser = require('./Parser.js');
+const Evaluator = require('./Evaluator.js');
+const Functions = require('./Functions.js');
+
+// Write-ahead log size that triggers a checkpoint into the table files
+const CHECKPOINT_BYTES = 1024 * 1024;
+
+// Functions that read or change the state of the database and this session
+const DATABASE_FUNCTIONS = ['NEXTVAL', 'CURRVAL', 'LAST_INSERT_ID'];
+
+// Storage adapters the storage option can name. Any other object with these
+// methods (see FileSystemAdapter) can be passed in their place.
+const STORAGE_ADAPTERS = { filesystem: FileSystemAdapter, memory: MemoryAdapter };
+const ADAPTER_METHODS = [
+  'exists', 'readFile', 'writeFile', 'createExclusive', 'appendFile', 'read', 'write', 'truncate', 'sync',
+  'size', 'rename', 'remove', 'listFiles', 'listDirectories', 'mkdir', 'close'
+];
 
 class Database {
-  constructor(name) {
+  // options.dataDir is the directory databases are kept in (./data by default),
+  // options.storage 'filesystem', 'memory' or an adapter object, and
+  // options.lockTimeout how many milliseconds to wait for another process
+  constructor(name, options = {}) {
     this.name = name;
     this.tables = {};
-    this.dataDir = path.join(process.cwd(), 'data', name);
+    this.views = {};
+    this.sequences = {};
+    this.activeTransaction = null;
+    
+    // Session state: the last value NEXTVAL gave for each sequence and the
+    // first AUTO_INCREMENT value generated by the last INSERT
+    this.currentValues = new Map();
+    this.lastInsertId = null;
+    this.functions = new Map([
+      ['NEXTVAL', name => name === null ? null : this.nextval(name)],
+      ['CURRVAL', name => name === null ? null : this.currval(name)],
+      ['LAST_INSERT_ID', () => this.lastInsertId]
+    ]);
+    this.adapter = Database.resolveAdapter(options.storage);
+    this.dataDir = path.join(Database.dataRoot(options.dataDir), name);
     
-    if (!fs.existsSync(this.dataDir)) {
-      fs.mkdirSync(this.dataDir, { recursive: true });
+    // Pages of the database's paged tables, shared between them
+    this.bufferPool = new BufferPool(options.bufferPoolSize);
+    
+    if (!this.adapter.exists(this.dataDir)) {
+      this.adapter.mkdir(this.dataDir);
     }
     
-    // Load existing tables
-    this.loadTables();
+    // Other processes may use the same files; generation counts the writes
+    // they have made, so a change shows up as a generation we have not loaded
+    this.lock = new DatabaseLock(this.adapter, this.dataDir, { name, timeout: options.lockTimeout });
+    this.generation = null;
+    this.wal = new WriteAheadLog(this.dataDir, this.adapter);
+    // Whether this handle has logged changes since its last checkpoint
+    this.logged = false;
+    
+    // The first read loads the tables, views and sequences
+    this.read(() => {});
   }
 
-  // Static method to list all existing databases
-  static listDatabases() {
-    const dataDir = path.join(process.cwd(), 'data');
-    if (!fs.existsSync(dataDir)) {
-      return [];
+  // Static method to list all existing databases; takes the dataDir and
+  // storage options of the constructor
+  static listDatabases(options = {}) {
+    const adapter = Database.resolveAdapter(options.storage);
+    return adapter.listDirectories(Database.dataRoot(options.dataDir));
+  }
+
+  static dataRoot(dataDir) {
+    return dataDir ? path.resolve(dataDir) : path.join(process.cwd(), 'data');
+  }
+
+  static resolveAdapter(storage) {
+    if (storage === undefined || storage === null) storage = 'filesystem';
+    if (typeof storage === 'string') {
+      const Adapter = STORAGE_ADAPTERS[storage];
+      if (!Adapter) {
+        throw new Error(`Unknown storage '${storage}'; use ${Object.keys(STORAGE_ADAPTERS).join(' or ')}, or pass an adapter`);
+      }
+      return new Adapter();
     }
     
-    const databases = fs.readdirSync(dataDir, { withFileTypes: true })
-      .filter(dirent => dirent.isDirectory())
-      .map(dirent => dirent.name);
-      
-    return databases;
+    const missing = ADAPTER_METHODS.filter(method => typeof storage?.[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Storage adapter is missing ${missing.map(method => `${method}()`).join(', ')}`);
+    }
+    return storage;
   }
 
-  loadTables() {
-    try {
-      const files = fs.readdirSync(this.dataDir);
-      files.forEach(file => {
-        if (file.endsWith('.json')) {
-          const tableName = file.replace('.json', '');
-          const schemaPath = path.join(this.dataDir, `${tableName}_schema.json`);
-          
-          if (fs.existsSync(schemaPath)) {
-            const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
-            this.tables[tableName] = new Table(tableName, schema, this.dataDir);
-          }
+  // Tables in previous (by name) are reloaded in place rather than replaced
+  loadTables(previous = {}) {
+    const files = this.adapter.listFiles(this.dataDir);
+    files.forEach(file => {
+      if (file.endsWith('_schema.json')) {
+        const tableName = file.slice(0, -'_schema.json'.length);
+        const schemaPath = path.join(this.dataDir, file);
+        
+        let schema;
+        try {
+          schema = JSON.parse(this.adapter.readFile(schemaPath).toString('utf8'));
+        } catch (error) {
+          throw new Error(`Schema for table '${tableName}' is corrupted: ${error.message}`);
+        }
+        
+        if (previous[tableName]) {
+          previous[tableName].reload(schema);
+          this.tables[tableName] = previous[tableName];
+          return;
+        }
+        
+        this.tables[tableName] = new Table(tableName, schema, this.dataDir, { adapter: this.adapter, bufferPool: this.bufferPool });
+        this.tables[tableName].journal = this;
+        this.tables[tableName].database = this;
+        this.tables[tableName].evaluator.functions = this.functions;
+      }
+    });
+  }
+
+  // View definitions live in <name>_view.json; a materialized view's rows are
+  // a read-only table of the same name
+  loadViews() {
+    const files = this.adapter.listFiles(this.dataDir);
+    files.forEach(file => {
+      if (!file.endsWith('_view.json')) return;
+      
+      const name = file.slice(0, -'_view.json'.length);
+      let definition;
+      try {
+        definition = JSON.parse(this.adapter.readFile(path.join(this.dataDir, file)).toString('utf8'));
+      } catch (error) {
+        throw new Error(`Definition of view '${name}' is corrupted: ${error.message}`);
+      }
+      
+      if (definition.materialized) {
+        if (!this.tables[name]) {
+          throw new Error(`Materialized view '${name}' is missing its table`);
         }
+        this.tables[name].readOnly = true;
+      }
+      this.views[name] = this.defineView(name, definition.query, definition);
+    });
+  }
+
+  // Replays committed changes that were logged but not yet checkpointed
+  recover() {
+    const records = this.wal.readRecords();
+    const replayed = new Set();
+    
+    for (const record of records) {
+      // Each table's changes keep the order they were logged in
+      const touched = new Map();
+      for (const change of record.changes) {
+        const table = this.tables[change.table];
+        if (!table || record.lsn <= table.lsn) continue;
+        
+        if (!touched.has(table)) touched.set(table, []);
+        touched.get(table).push(change);
+      }
+      touched.forEach((changes, table) => {
+        table.replay(changes);
+        table.lsn = record.lsn;
+        replayed.add(table);
       });
-    } catch (error) {
-      // Directory might not exist yet
     }
+    
+    for (const tableName in this.tables) {
+      this.wal.lsn = Math.max(this.wal.lsn, this.tables[tableName].lsn);
+    }
+    
+    // They are written by the next checkpoint
+    replayed.forEach(table => {
+      table.dirty = true;
+    });
   }
 
-  createTable(tableName, schema) {
-    if (this.tables[tableName]) {
-      throw new Error(`Table '${tableName}' already exists`);
+  // Runs fn with a shared lock, after loading any changes other processes
+  // have made. Statements that only read run this way.
+  read(fn) {
+    if (this.lock.count('exclusive') > 0) return fn();
+    
+    const outermost = !this.lock.holding();
+    this.lock.acquire('shared');
+    try {
+      if (outermost) this.refresh();
+      return fn();
+    } finally {
+      this.lock.release('shared');
+    }
+  }
+
+  // Runs fn as the only writer, after loading any changes other processes
+  // have made, and with readers kept out while it runs. The generation moves
+  // on before anything is written, so other processes reload afterwards even
+  // if this one dies part way.
+  write(fn) {
+    const outermost = !this.lock.holding();
+    this.lock.acquire('write');
+    try {
+      if (outermost) this.refresh();
+      this.lock.acquire('exclusive');
+      try {
+        if (this.lock.count('exclusive') === 1) this.bumpGeneration();
+        return fn();
+      } finally {
+        this.lock.release('exclusive');
+      }
+    } finally {
+      this.lock.release('write');
     }
+  }
+
+  refresh() {
+    const generation = this.readGeneration();
+    if (generation === this.generation) return;
     
-    // Save schema
-    const schemaPath = path.join(this.dataDir, `${tableName}_schema.json`);
-    fs.writeFileSync(schemaPath, JSON.stringify(schema, null, 2));
+    this.reload();
+    this.generation = generation;
+  }
+
+  // Reads the tables, views and sequences again and replays the log
+  reload() {
+    this.wal.close();
+    this.wal = new WriteAheadLog(this.dataDir, this.adapter);
     
-    this.tables[tableName] = new Table(tableName, schema, this.dataDir);
-    return this.tables[tableName];
+    const previous = this.tables;
+    this.tables = {};
+    this.views = {};
+    this.sequences = {};
+    this.loadTables(previous);
+    for (const tableName in previous) {
+      if (this.tables[tableName] !== previous[tableName]) previous[tableName].close();
+    }
+    this.loadViews();
+    this.loadSequences();
+    this.recover();
   }
 
-  getTable(tableName) {
-    const table = this.tables[tableName];
-    if (!table) {
-      throw new Error(`Table '${tableName}' does not exist`);
+  // The generation is kept as text in a file of its own. It only grows, so
+  // each new value can be written over the old one in place.
+  readGeneration() {
+    const file = this.generationPath();
+    return this.adapter.exists(file) ? Number(this.adapter.readFile(file).toString('utf8')) : 0;
+  }
+
+  bumpGeneration() {
+    this.generation = this.readGeneration() + 1;
+    this.adapter.write(this.generationPath(), 0, Buffer.from(String(this.generation)));
+  }
+
+  generationPath() {
+    return path.join(this.dataDir, 'generation');
+  }
+
+  // Durably records committed changes ([{ table, change }]) in one log record
+  logChanges(changes) {
+    if (changes.length === 0) return;
+    
+    const lsn = this.wal.append(changes.map(({ table, change }) => {
+      const entry = { table: table.name, op: change.op, position: change.position };
+      if (change.op !== 'delete') entry.row = change.row;
+      return entry;
+    }));
+    
+    for (const { table } of changes) {
+      table.lsn = lsn;
+      table.dirty = true;
+    }
+    this.logged = true;
+    
+    if (this.wal.size >= CHECKPOINT_BYTES) {
+      this.checkpoint();
+    }
+  }
+
+  // Writes every table changed since the last checkpoint and empties the log
+  checkpoint() {
+    return this.write(() => {
+      if (this.activeTransaction) {
+        throw new Error('Cannot checkpoint while a transaction is in progress');
+      }
+      
+      for (const tableName in this.tables) {
+        const table = this.tables[tableName];
+        if (table.dirty) {
+          table.save();
+          table.saveIndexes();
+        }
+      }
+      
+      this.wal.truncate();
+      this.logged = false;
+    });
+  }
+
+  // Only a handle that logged changes checkpoints them, under the write lock;
+  // one that just read lets go of its locks without making others reload
+  close() {
+    try {
+      if (this.activeTransaction) this.rollback();
+      if (this.logged) this.checkpoint();
+    } finally {
+      this.wal.close();
+      for (const tableName in this.tables) {
+        this.tables[tableName].close();
+      }
+      this.adapter.close(this.generationPath());
+      this.lock.releaseAll();
+    }
+  }
+
+  createTable(tableName, schema) {
+    return this.write(() => {
+      if (this.tables[tableName]) {
+        throw new Error(`Table '${tableName}' already exists`);
+      }
+      if (this.views[tableName]) {
+        throw new Error(`A view named '${tableName}' already exists`);
+      }
+      
+      for (const column in schema) {
+        if (!column.startsWith('$')) this.requireType(schema[column].type);
+      }
+      schema = this.resolveForeignKeys(tableName, schema);
+      
+      // The schema is saved once Table has accepted it
+      const table = new Table(tableName, schema, this.dataDir, { adapter: this.adapter, bufferPool: this.bufferPool });
+      this.adapter.writeFile(this.schemaPath(tableName), JSON.stringify(schema, null, 2));
+      
+      table.transaction = this.activeTransaction;
+      table.journal = this;
+      table.database = this;
+      table.evaluator.functions = this.functions;
+      table.lsn = this.wal.lsn;
+      this.tables[tableName] = table;
+      return table;
+    });
+  }
+
+  // Checks that every foreign key points at a primary key or unique column of an
+  // existing table (or the new table itself), filling in the primary key when
+  // no column is given
+  resolveForeignKeys(tableName, schema) {
+    const resolved = {};
+    for (const column in schema) {
+      const foreignKey = schema[column].foreignKey;
+      resolved[column] = schema[column];
+      if (!foreignKey) continue;
+      
+      const targetSchema = foreignKey.table === tableName ? schema : this.getTable(foreignKey.table).schema;
+      const targetColumn = foreignKey.column ||
+        Object.keys(targetSchema).find(name => targetSchema[name].primaryKey);
+      if (!targetColumn) {
+        throw new Error(`Table '${foreignKey.table}' has no primary key for '${column}' to reference`);
+      }
+      
+      const target = targetSchema[targetColumn];
+      if (!target) {
+        throw new Error(`Column '${foreignKey.table}.${targetColumn}' referenced by '${column}' does not exist`);
+      }
+      if (!target.primaryKey && !target.unique) {
+        throw new Error(`Column '${foreignKey.table}.${targetColumn}' referenced by '${column}' must be a primary key or unique`);
+      }
+      
+      resolved[column] = { ...schema[column], foreignKey: { ...foreignKey, column: targetColumn } };
     }
-    return table;
+    return resolved;
+  }
+
+  getTable(tableName) {
+    return this.read(() => {
+      const table = this.tables[tableName];
+      if (!table) {
+        if (this.views[tableName]) {
+          throw new Error(`'${tableName}' is a view, not a table`);
+        }
+        throw new Error(`Table '${tableName}' does not exist`);
+      }
+      return table;
+    });
   }
 
   dropTable(tableName) {
-    if (!this.tables[tableName]) {
-      throw new Error(`Table '${tableName}' does not exist`);
+    return this.write(() => {
+      if (!this.tables[tableName]) {
+        throw new Error(`Table '${tableName}' does not exist`);
+      }
+      if (this.activeTransaction) {
+        throw new Error('DROP TABLE cannot run inside a transaction');
+      }
+      if (this.views[tableName]) {
+        throw new Error(`'${tableName}' is a materialized view; use DROP MATERIALIZED VIEW`);
+      }
+      this.checkDependentViews(tableName, `drop table '${tableName}'`);
+      
+      const reference = this.tables[tableName].referencingColumns().find(({ table }) => table.name !== tableName);
+      if (reference) {
+        throw new Error(`Cannot drop table '${tableName}': it is referenced by '${reference.table.name}.${reference.column}'`);
+      }
+      
+      // Flush the log first so no logged change can be replayed into a later table of the same name
+      this.checkpoint();
+      this.tables[tableName].drop();
+      delete this.tables[tableName];
+      
+      // Remove schema file
+      const schemaPath = this.schemaPath(tableName);
+      if (this.adapter.exists(schemaPath)) {
+        this.adapter.remove(schemaPath);
+      }
+      
+      return true;
+    });
+  }
+
+  // Applies ALTER TABLE actions (see Table.alter) plus { action: 'renameTable', to },
+  // which runs last. Like other schema changes, it is not transactional: the
+  // log is checkpointed and the table files rewritten once every action succeeds.
+  alterTable(tableName, actions) {
+    return this.write(() => {
+      const table = this.getTable(tableName);
+      if (this.activeTransaction) {
+        throw new Error('ALTER TABLE cannot run inside a transaction');
+      }
+      if (this.views[tableName]) {
+        throw new Error(`Cannot alter materialized view '${tableName}'`);
+      }
+      
+      const columnActions = [];
+      let newName = null;
+      for (const change of actions) {
+        if (change.action === 'renameTable') {
+          newName = change.to;
+          continue;
+        }
+        if (change.action === 'alterColumnType') this.requireType(change.type);
+        if (change.action === 'addColumn') {
+          this.requireType(change.definition.type);
+          const definition = this.resolveForeignKeys(tableName, { ...table.schema, [change.column]: change.definition })[change.column];
+          columnActions.push({ ...change, definition });
+          continue;
+        }
+        
+        const [reference] = this.referencesTo(tableName, change.column);
+        if (reference && change.action === 'dropColumn') {
+          throw new Error(`Cannot drop column '${change.column}': it is referenced by '${reference.table.name}.${reference.column}'`);
+        }
+        columnActions.push(change);
+      }
+      
+      if (newName !== null && newName !== tableName) {
+        if (this.tables[newName] || this.views[newName]) {
+          throw new Error(`Table '${newName}' already exists`);
+        }
+        this.checkDependentViews(tableName, `rename table '${tableName}'`);
+      }
+      
+      this.checkpoint();
+      
+      if (columnActions.length > 0) {
+        // Foreign keys in other tables follow renamed columns
+        const renames = columnActions.filter(change => change.action === 'renameColumn')
+          .map(change => ({ change, references: this.referencesTo(tableName, change.column) }));
+        
+        table.alter(columnActions);
+        table.save();
+        table.saveIndexes();
+        table.saveStatistics();
+        this.saveSchema(table);
+        
+        for (const { change, references } of renames) {
+          for (const { table: other, column } of references) {
+            if (other === table) continue;
+            other.schema[column].foreignKey.column = change.to;
+            this.saveSchema(other);
+          }
+        }
+      }
+      
+      if (newName !== null && newName !== tableName) {
+        this.renameTable(table, newName);
+      }
+      return true;
+    });
+  }
+
+  // Columns without a type are strings
+  requireType(type = 'string') {
+    if (!DataType.lookup(type)) {
+      throw new Error(`Unknown data type '${type}'`);
     }
+  }
+
+  // Moves a table's files and points foreign keys that reference it at the new name
+  renameTable(table, newName) {
+    const oldName = table.name;
+    const oldSchemaPath = this.schemaPath(oldName);
     
-    this.tables[tableName].drop();
-    delete this.tables[tableName];
+    table.rename(newName);
+    delete this.tables[oldName];
+    this.tables[newName] = table;
     
-    // Remove schema file
-    const schemaPath = path.join(this.dataDir, `${tableName}_schema.json`);
-    if (fs.existsSync(schemaPath)) {
-      fs.unlinkSync(schemaPath);
+    for (const other of Object.values(this.tables)) {
+      let changed = other === table;
+      for (const column in other.schema) {
+        const foreignKey = other.schema[column].foreignKey;
+        if (foreignKey && foreignKey.table === oldName) {
+          foreignKey.table = newName;
+          changed = true;
+        }
+      }
+      if (changed) this.saveSchema(other);
     }
     
-    return true;
+    if (this.adapter.exists(oldSchemaPath)) {
+      this.adapter.remove(oldSchemaPath);
+    }
   }
 
+  // Foreign keys of any table that point at tableName.column
+  referencesTo(tableName, column) {
+    const table = this.tables[tableName];
+    if (!table) return [];
+    return table.referencingColumns().filter(({ foreignKey }) => foreignKey.column === column);
+  }
+
+  schemaPath(tableName) {
+    return path.join(this.dataDir, `${tableName}_schema.json`);
+  }
+
+  saveSchema(table) {
+    this.adapter.writeFile(this.schemaPath(table.name), JSON.stringify(table.serializeSchema(), null, 2));
+  }
+
+  // Every table and view, as { name, type } with type 'table', 'view' or
+  // 'materialized view'
   listTables() {
-    return Object.keys(this.tables);
+    return this.read(() => {
+      const tables = Object.keys(this.tables).map(name => ({
+        name,
+        type: this.views[name] ? 'materialized view' : 'table'
+      }));
+      const views = Object.values(this.views).filter(view => !view.materialized)
+        .map(view => ({ name: view.name, type: 'view' }));
+      return [...tables, ...views];
+    });
+  }
+
+  // Parses a view's query into the definition kept in memory:
+  // { name, query, columns, materialized, statement, dependsOn }
+  defineView(name, query, { columns = null, materialized = false } = {}) {
+    const statements = new Parser(query).parse();
+    if (statements.length !== 1 || statements[0].type !== 'Select') {
+      throw new Error(`View '${name}' must be defined by a single SELECT`);
+    }
+    
+    const SQLParser = require('./SQLParser.js');
+    const statement = statements[0];
+    return { name, query, columns, materialized, statement, dependsOn: new SQLParser().referencedTables(statement) };
+  }
+
+  // Stores a view over a SELECT. A materialized view also runs the query and
+  // keeps its rows in a read-only table until REFRESH MATERIALIZED VIEW.
+  createView(name, query, options = {}) {
+    return this.write(() => {
+      const { columns = null, materialized = false, replace = false } = options;
+      const existing = this.views[name];
+      if (existing ? !replace || existing.materialized !== materialized : this.tables[name]) {
+        throw new Error(`${existing ? 'View' : 'Table'} '${name}' already exists`);
+      }
+      if (materialized && this.activeTransaction) {
+        throw new Error('CREATE MATERIALIZED VIEW cannot run inside a transaction');
+      }
+      
+      const view = this.defineView(name, query, { columns, materialized });
+      const dependsOnItself = dependencies => dependencies.some(dependency =>
+        dependency === name || (this.views[dependency] && dependsOnItself(this.views[dependency].dependsOn)));
+      if (dependsOnItself(view.dependsOn)) {
+        throw new Error(`View '${name}' cannot refer to itself`);
+      }
+      
+      // Running the query checks that it is valid
+      const SQLParser = require('./SQLParser.js');
+      const { schema, rows } = new SQLParser().evaluateView(view, this);
+      
+      if (materialized) {
+        this.checkpoint();
+        if (existing) this.dropMaterializedTable(name);
+        const table = this.createTable(name, schema);
+        table.readOnly = true;
+        table.replaceRows(rows);
+      }
+      
+      this.adapter.writeFile(this.viewPath(name), JSON.stringify({ query, columns, materialized }, null, 2));
+      this.views[name] = view;
+      return view;
+    });
+  }
+
+  dropView(name, options = {}) {
+    return this.write(() => {
+      const view = this.views[name];
+      if (!view) {
+        throw new Error(`View '${name}' does not exist`);
+      }
+      if (view.materialized && !options.materialized) {
+        throw new Error(`'${name}' is a materialized view; use DROP MATERIALIZED VIEW`);
+      }
+      if (!view.materialized && options.materialized) {
+        throw new Error(`'${name}' is not a materialized view; use DROP VIEW`);
+      }
+      this.checkDependentViews(name, `drop view '${name}'`);
+      
+      if (view.materialized) {
+        if (this.activeTransaction) {
+          throw new Error('DROP MATERIALIZED VIEW cannot run inside a transaction');
+        }
+        this.checkpoint();
+        this.dropMaterializedTable(name);
+      }
+      
+      delete this.views[name];
+      if (this.adapter.exists(this.viewPath(name))) {
+        this.adapter.remove(this.viewPath(name));
+      }
+      return true;
+    });
+  }
+
+  // Runs a materialized view's query again and replaces its rows
+  refreshMaterializedView(name) {
+    return this.write(() => {
+      const view = this.views[name];
+      if (!view || !view.materialized) {
+        throw new Error(`Materialized view '${name}' does not exist`);
+      }
+      if (this.activeTransaction) {
+        throw new Error('REFRESH MATERIALIZED VIEW cannot run inside a transaction');
+      }
+      
+      const SQLParser = require('./SQLParser.js');
+      const { rows } = new SQLParser().evaluateView(view, this);
+      this.checkpoint();
+      this.tables[name].replaceRows(rows);
+      return rows.length;
+    });
+  }
+
+  dropMaterializedTable(name) {
+    this.tables[name].drop();
+    delete this.tables[name];
+    if (this.adapter.exists(this.schemaPath(name))) {
+      this.adapter.remove(this.schemaPath(name));
+    }
+  }
+
+  // Tables and views that views are defined over cannot be dropped or renamed
+  checkDependentViews(name, action) {
+    const dependent = Object.values(this.views).find(view => view.dependsOn.includes(name));
+    if (dependent) {
+      throw new Error(`Cannot ${action}: view '${dependent.name}' depends on it`);
+    }
+  }
+
+  viewPath(name) {
+    return path.join(this.dataDir, `${name}_view.json`);
+  }
+
+  // Sequences live in sequences.json as { name: { start, increment, value } },
+  // value being the last one handed out or null before the first
+  loadSequences() {
+    const file = this.sequencesPath();
+    if (!this.adapter.exists(file)) return;
+    
+    try {
+      this.sequences = JSON.parse(this.adapter.readFile(file).toString('utf8'));
+    } catch (error) {
+      throw new Error(`Sequences are corrupted (${file}): ${error.message}`);
+    }
+  }
+
+  saveSequences() {
+    this.adapter.writeFile(this.sequencesPath(), JSON.stringify(this.sequences, null, 2));
+  }
+
+  sequencesPath() {
+    return path.join(this.dataDir, 'sequences.json');
+  }
+
+  // A descending sequence (negative increment) starts at -1 by default
+  createSequence(name, { start, increment = 1 } = {}) {
+    return this.write(() => {
+      if (this.sequences[name]) {
+        throw new Error(`Sequence '${name}' already exists`);
+      }
+      if (!Number.isSafeInteger(increment) || increment === 0) {
+        throw new Error(`INCREMENT of sequence '${name}' must be a non-zero integer`);
+      }
+      if (start === undefined) start = increment > 0 ? 1 : -1;
+      if (!Number.isSafeInteger(start)) {
+        throw new Error(`START of sequence '${name}' must be an integer`);
+      }
+      
+      this.sequences[name] = { start, increment, value: null };
+      this.saveSequences();
+    });
   }
 
-  query(sql) {
+  dropSequence(name) {
+    return this.write(() => {
+      this.getSequence(name);
+      delete this.sequences[name];
+      this.currentValues.delete(name);
+      this.saveSequences();
+    });
+  }
+
+  getSequence(name) {
+    const sequence = this.sequences[name];
+    if (!sequence) {
+      throw new Error(`Sequence '${name}' does not exist`);
+    }
+    return sequence;
+  }
+
+  // Advances the sequence and returns its new value. The value is saved
+  // before it is returned and is not taken back when a transaction rolls
+  // back, so it is never handed out twice.
+  nextval(name) {
+    return this.write(() => {
+      const sequence = this.getSequence(name);
+      const value = sequence.value === null ? sequence.start : sequence.value + sequence.increment;
+      if (!Number.isSafeInteger(value)) {
+        throw new Error(`Sequence '${name}' has reached its limit`);
+      }
+      
+      sequence.value = value;
+      this.saveSequences();
+      this.currentValues.set(name, value);
+      return value;
+    });
+  }
+
+  // The value NEXTVAL last returned for the sequence in this session
+  currval(name) {
+    this.getSequence(name);
+    if (!this.currentValues.has(name)) {
+      throw new Error(`CURRVAL of sequence '${name}' is not yet defined in this session`);
+    }
+    return this.currentValues.get(name);
+  }
+
+  beginTransaction() {
+    return this.write(() => {
+      if (this.activeTransaction) {
+        throw new Error('A transaction is already in progress');
+      }
+      
+      this.activeTransaction = new Transaction();
+      for (const tableName in this.tables) {
+        this.tables[tableName].transaction = this.activeTransaction;
+      }
+      
+      // Held until COMMIT or ROLLBACK, so no other process writes in between
+      this.lock.acquire('write');
+    });
+  }
+
+  requireTransaction() {
+    if (!this.activeTransaction) {
+      throw new Error('No transaction is in progress');
+    }
+    return this.activeTransaction;
+  }
+
+  commit() {
+    return this.write(() => {
+      const transaction = this.requireTransaction();
+      this.endTransaction();
+      this.logChanges(transaction.changes);
+    });
+  }
+
+  rollback() {
+    return this.write(() => {
+      const transaction = this.requireTransaction();
+      transaction.rollback();
+      this.endTransaction();
+    });
+  }
+
+  endTransaction() {
+    this.activeTransaction = null;
+    for (const tableName in this.tables) {
+      this.tables[tableName].transaction = null;
+    }
+    this.lock.release('write');
+  }
+
+  savepoint(name) {
+    this.requireTransaction().savepoint(name);
+  }
+
+  rollbackTo(name) {
+    this.requireTransaction().rollbackTo(name);
+  }
+
+  releaseSavepoint(name) {
+    this.requireTransaction().release(name);
+  }
+
+  // Runs fn(db) atomically: commits if it returns, rolls back if it throws.
+  // Nested calls use a savepoint inside the outer transaction.
+  transaction(fn) {
+    if (this.activeTransaction) {
+      const name = `__nested_${this.activeTransaction.savepoints.length}`;
+      this.savepoint(name);
+      try {
+        const result = fn(this);
+        this.releaseSavepoint(name);
+        return result;
+      } catch (error) {
+        this.rollbackTo(name);
+        this.releaseSavepoint(name);
+        throw error;
+      }
+    }
+    
+    this.beginTransaction();
+    try {
+      const result = fn(this);
+      this.commit();
+      return result;
+    } catch (error) {
+      if (this.activeTransaction) this.rollback();
+      throw error;
+    }
+  }
+
+  // Collects planner statistics for one table, or for every table
+  analyze(tableName = null) {
+    return this.write(() => {
+      const tables = tableName === null ? Object.values(this.tables) : [this.getTable(tableName)];
+      tables.forEach(table => table.analyze());
+      return tables;
+    });
+  }
+
+  query(sql, params) {
     const parser = new (require('./SQLParser.js'))();
-    return parser.parseAndExecute(sql, this);
+    return parser.parseAndExecute(sql, this, params);
+  }
+
+  // Parses sql once for repeated execution with different parameters
+  prepare(sql) {
+    const PreparedStatement = require('./PreparedStatement.js');
+    return new PreparedStatement(this, sql);
+  }
+
+  // Makes a JavaScript function callable from SQL under the given name. It
+  // receives the evaluated arguments, NULLs included, and returns the value.
+  registerFunction(name, fn) {
+    if (typeof name !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+      throw new Error(`Invalid function name '${name}'`);
+    }
+    if (typeof fn !== 'function') {
+      throw new Error(`Function '${name}' must be a JavaScript function`);
+    }
+
+    const key = name.toUpperCase();
+    if (Functions.has(key) || Evaluator.isAggregate({ type: 'Function', name: key }) ||
+        Evaluator.WINDOW_FUNCTIONS.has(key) || DATABASE_FUNCTIONS.includes(key) || ['CAST', 'INTERVAL'].includes(key)) {
+      throw new Error(`Function '${name}' is built in and cannot be replaced`);
+    }
+    this.functions.set(key, fn);
   }
 }
 
@@ -0,0 +1,186 @@
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// How long to wait for a lock when the database is opened without lockTimeout
+const DEFAULT_TIMEOUT = 5000;
+
+// Pause between attempts to take a lock
+const RETRY_DELAY = 10;
+
+const sleeper = new Int32Array(new SharedArrayBuffer(4));
+
+function sleep(ms) {
+  Atomics.wait(sleeper, 0, 0, ms);
+}
+
+// Locks a database directory against other processes using it, through lock
+// files written with the database's storage adapter. Each file holds the
+// holder's { pid, host, token }; one left by a process that is no longer
+// running on this host is stale and removed.
+//
+//   shared     shared-<token>.lock, one per reader. Taken while a statement
+//              reads, so files cannot change under it.
+//   write      write.lock. Makes its holder the only writer, from the start of
+//              a write statement (or BEGIN) to its end (or COMMIT/ROLLBACK).
+//   exclusive  exclusive.lock. Taken by the writer while a statement runs;
+//              keeps new readers out and waits for current ones to finish.
+//
+// Locks are counted, so taking one that is already held only adds to its
+// count. A lock that cannot be taken within the timeout, or that is held by
+// another connection of this process (which cannot let go while we wait),
+// raises a "database is locked" error.
+class DatabaseLock {
+  constructor(adapter, dataDir, { name, timeout = DEFAULT_TIMEOUT } = {}) {
+    if (typeof timeout !== 'number' || !(timeout >= 0)) {
+      throw new Error(`Lock timeout must be a non-negative number of milliseconds but got ${JSON.stringify(timeout)}`);
+    }
+    this.adapter = adapter;
+    this.dataDir = dataDir;
+    this.name = name;
+    this.timeout = timeout;
+    this.owner = { pid: process.pid, host: os.hostname(), token: `${process.pid}-${crypto.randomBytes(4).toString('hex')}` };
+    this.counts = { shared: 0, write: 0, exclusive: 0 };
+  }
+
+  // Whether this connection holds any lock
+  holding() {
+    return this.counts.shared + this.counts.write + this.counts.exclusive > 0;
+  }
+
+  count(mode) {
+    return this.counts[mode];
+  }
+
+  acquire(mode) {
+    if (this.counts[mode] === 0) {
+      if (mode === 'shared') this.lockShared();
+      else if (mode === 'write') this.take(this.file('write'));
+      else this.lockExclusive();
+    }
+    this.counts[mode]++;
+  }
+
+  release(mode) {
+    if (this.counts[mode] === 0) return;
+    this.counts[mode]--;
+    if (this.counts[mode] > 0) return;
+
+    const file = mode === 'shared' ? this.file(`shared-${this.owner.token}`) : this.file(mode);
+    if (this.ownedBy(file)) this.adapter.remove(file);
+  }
+
+  // Lets go of every lock, as when the database is closed
+  releaseAll() {
+    for (const mode of ['exclusive', 'write', 'shared']) {
+      if (this.counts[mode] > 0) {
+        this.counts[mode] = 1;
+        this.release(mode);
+      }
+    }
+  }
+
+  // Waits for any writer that is running a statement, then registers as a
+  // reader. A writer arriving in between is let through first.
+  lockShared() {
+    const own = this.file(`shared-${this.owner.token}`);
+    this.wait(() => {
+      const writer = this.holder(this.file('exclusive'));
+      if (writer) return writer;
+
+      this.adapter.createExclusive(own, JSON.stringify(this.owner));
+      const arrived = this.holder(this.file('exclusive'));
+      if (arrived) this.adapter.remove(own);
+      return arrived;
+    });
+  }
+
+  // Only the holder of the write lock asks for this one, so any exclusive.lock
+  // found was left by a writer that died; readers are then waited out
+  lockExclusive() {
+    const file = this.file('exclusive');
+    if (this.adapter.exists(file)) this.adapter.remove(file);
+    this.adapter.createExclusive(file, JSON.stringify(this.owner));
+
+    try {
+      this.wait(() => {
+        for (const name of this.adapter.listFiles(this.dataDir)) {
+          if (!name.startsWith('shared-') || !name.endsWith('.lock')) continue;
+          const reader = this.holder(path.join(this.dataDir, name));
+          if (reader) return reader;
+        }
+        return null;
+      });
+    } catch (error) {
+      this.adapter.remove(file);
+      throw error;
+    }
+  }
+
+  take(file) {
+    this.wait(() => this.adapter.createExclusive(file, JSON.stringify(this.owner)) ? null : this.holder(file));
+  }
+
+  // Calls attempt until it returns no holder, sleeping between attempts
+  wait(attempt) {
+    const deadline = Date.now() + this.timeout;
+    for (;;) {
+      const holder = attempt();
+      if (!holder) return;
+      if (holder.pid === process.pid) {
+        throw new Error(`Database '${this.name}' is locked by another connection in this process`);
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`Database '${this.name}' is locked by process ${holder.pid}${holder.host === this.owner.host ? '' : ` on ${holder.host}`}; gave up after ${this.timeout} ms`);
+      }
+      sleep(RETRY_DELAY);
+    }
+  }
+
+  // Whoever else holds a lock file, or null when it is missing, stale or ours.
+  // A stale file is removed.
+  holder(file) {
+    const holder = this.read(file);
+    if (!holder || holder.token === this.owner.token) return null;
+    if (DatabaseLock.isRunning(holder)) return holder;
+
+    // Checked again so that a lock taken since the read is not removed
+    if (this.read(file)?.token === holder.token) this.adapter.remove(file);
+    return null;
+  }
+
+  ownedBy(file) {
+    return this.read(file)?.token === this.owner.token;
+  }
+
+  // The contents of a lock file, or null when there is none. One that cannot
+  // be parsed was left unfinished by a holder that died, and reads as {}.
+  read(file) {
+    if (!this.adapter.exists(file)) return null;
+    try {
+      return JSON.parse(this.adapter.readFile(file).toString('utf8'));
+    } catch (error) {
+      return this.adapter.exists(file) ? {} : null;
+    }
+  }
+
+  file(name) {
+    return path.join(this.dataDir, `${name}.lock`);
+  }
+
+  // Processes on other hosts cannot be checked, so their locks are kept
+  static isRunning({ pid, host }) {
+    if (!Number.isInteger(pid)) return false;
+    if (host !== os.hostname()) return true;
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
+    }
+  }
+}
+
+DatabaseLock.DEFAULT_TIMEOUT = DEFAULT_TIMEOUT;
+
+module.exports = DatabaseLock;
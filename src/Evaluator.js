@@ -0,0 +1,546 @@
+const Functions = require('./Functions.js');
+
+// Maps the operators accepted in object conditions to expression nodes
+const CONDITION_OPERATORS = {
+  '=': (column, value) => ({ type: 'Binary', operator: '=', left: column, right: literal(value) }),
+  '!=': (column, value) => ({ type: 'Binary', operator: '!=', left: column, right: literal(value) }),
+  '<>': (column, value) => ({ type: 'Binary', operator: '!=', left: column, right: literal(value) }),
+  '>': (column, value) => ({ type: 'Binary', operator: '>', left: column, right: literal(value) }),
+  '<': (column, value) => ({ type: 'Binary', operator: '<', left: column, right: literal(value) }),
+  '>=': (column, value) => ({ type: 'Binary', operator: '>=', left: column, right: literal(value) }),
+  '<=': (column, value) => ({ type: 'Binary', operator: '<=', left: column, right: literal(value) }),
+  'LIKE': (column, value) => ({ type: 'Like', expr: column, pattern: literal(value), negated: false }),
+  'NOT LIKE': (column, value) => ({ type: 'Like', expr: column, pattern: literal(value), negated: true }),
+  'IN': (column, value) => ({ type: 'In', expr: column, list: listOf(value), negated: false }),
+  'NOT IN': (column, value) => ({ type: 'In', expr: column, list: listOf(value), negated: true }),
+  'BETWEEN': (column, value) => between(column, value, false),
+  'NOT BETWEEN': (column, value) => between(column, value, true),
+  'IS NULL': (column, value) => ({ type: 'IsNull', expr: column, negated: value === false }),
+  'IS NOT NULL': (column, value) => ({ type: 'IsNull', expr: column, negated: value !== false })
+};
+
+const AGGREGATE_FUNCTIONS = new Set(['COUNT', 'SUM', 'AVG', 'MIN', 'MAX']);
+
+// Functions that only exist with an OVER clause
+const WINDOW_FUNCTIONS = new Set(['ROW_NUMBER', 'RANK', 'DENSE_RANK', 'LAG', 'LEAD']);
+
+const SUBQUERY_TYPES = new Set(['Subquery', 'Exists', 'InSubquery']);
+
+const ARITHMETIC_OPERATORS = new Set(['+', '-', '*', '/', '%', '||']);
+
+// Grouped rows carry their computed aggregate values under this key
+const AGGREGATES = Symbol('aggregates');
+
+// Rows carry the values of window function calls under this key
+const WINDOWS = Symbol('windows');
+
+function literal(value) {
+  return { type: 'Literal', value };
+}
+
+function listOf(value) {
+  if (!Array.isArray(value)) {
+    throw new Error('IN expects an array of values');
+  }
+  return value.map(literal);
+}
+
+function between(column, value, negated) {
+  if (!Array.isArray(value) || value.length !== 2) {
+    throw new Error('BETWEEN expects an array of [low, high]');
+  }
+  return { type: 'Between', expr: column, low: literal(value[0]), high: literal(value[1]), negated };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function and(nodes) {
+  return nodes.reduce((left, right) => left ? { type: 'Binary', operator: 'AND', left, right } : right, null);
+}
+
+class Evaluator {
+  // Without sources, rows are plain records. With sources ([{ alias, columns }]),
+  // rows are tuples keyed by source alias, as produced by joins. A subquery's
+  // evaluator has its enclosing query's as parent: columns it cannot resolve
+  // itself belong to the outer query and are collected in outerColumns.
+  // functions maps upper-case names to functions registered on the database.
+  constructor(options = {}) {
+    this.sources = options.sources || null;
+    this.parent = options.parent || null;
+    this.functions = options.functions || null;
+    this.outerColumns = [];
+    this.resolved = new Map();
+  }
+
+  // Converts object conditions (as accepted by Table.find) into an expression tree.
+  // Returns null when the conditions match every row.
+  static fromConditions(conditions) {
+    if (!conditions) return null;
+
+    const nodes = [];
+    for (const key in conditions) {
+      const condition = conditions[key];
+
+      switch (key) {
+        case '$expr':
+          nodes.push(condition);
+          break;
+        case '$and':
+        case '$or': {
+          const operator = key === '$and' ? 'AND' : 'OR';
+          const parts = condition.map(part => Evaluator.fromConditions(part) || literal(true));
+          if (parts.length === 0) {
+            nodes.push(literal(operator === 'AND'));
+          } else {
+            nodes.push(parts.reduce((left, right) => ({ type: 'Binary', operator, left, right })));
+          }
+          break;
+        }
+        case '$not':
+          nodes.push({ type: 'Unary', operator: 'NOT', operand: Evaluator.fromConditions(condition) || literal(true) });
+          break;
+        default: {
+          const column = { type: 'Column', table: null, name: key };
+
+          if (condition === null || condition === undefined) {
+            nodes.push({ type: 'IsNull', expr: column, negated: false });
+          } else if (isPlainObject(condition)) {
+            for (const op in condition) {
+              const build = CONDITION_OPERATORS[op.toUpperCase()];
+              if (!build) {
+                throw new Error(`Unknown operator '${op}' for column '${key}'`);
+              }
+              nodes.push(build(column, condition[op]));
+            }
+          } else {
+            nodes.push(CONDITION_OPERATORS['='](column, condition));
+          }
+        }
+      }
+    }
+
+    return and(nodes);
+  }
+
+  // An aggregate used with OVER is a window function instead
+  static isAggregate(node) {
+    return node.type === 'Function' && AGGREGATE_FUNCTIONS.has(node.name) && !node.over;
+  }
+
+  static isWindow(node) {
+    return node.type === 'Function' && Boolean(node.over);
+  }
+
+  static isSubquery(node) {
+    return SUBQUERY_TYPES.has(node.type);
+  }
+
+  // Orders two non-null values; numbers and numeric strings compare numerically
+  static compareValues(a, b) {
+    // Dates compare with date strings by time
+    if (a instanceof Date && typeof b === 'string' && !isNaN(Date.parse(b))) b = new Date(b);
+    if (b instanceof Date && typeof a === 'string' && !isNaN(Date.parse(a))) a = new Date(a);
+    if (a instanceof Date) a = a.getTime();
+    if (b instanceof Date) b = b.getTime();
+
+    if (typeof a !== typeof b) {
+      if (typeof a === 'number' && typeof b === 'string' && b.trim() !== '' && !isNaN(b)) b = Number(b);
+      else if (typeof b === 'number' && typeof a === 'string' && a.trim() !== '' && !isNaN(a)) a = Number(a);
+      else {
+        a = String(a);
+        b = String(b);
+      }
+    }
+
+    if (typeof a === 'object') {
+      a = JSON.stringify(a);
+      b = JSON.stringify(b);
+    }
+
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+
+  static likeToRegExp(pattern) {
+    const source = String(pattern)
+      .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/%/g, '.*')
+      .replace(/_/g, '.');
+    return new RegExp(`^${source}$`, 's');
+  }
+
+  // Finds the alias of the source a column reference belongs to, or null for
+  // a column of an outer query
+  resolveSource(node) {
+    if (this.resolved.has(node)) return this.resolved.get(node);
+
+    let alias;
+    if (node.table) {
+      const source = this.sources.find(s => s.alias === node.table);
+      if (!source && this.parent) {
+        return this.resolveOuter(node);
+      }
+      if (!source) {
+        throw new Error(`Unknown table or alias '${node.table}'`);
+      }
+      if (!source.columns.includes(node.name)) {
+        throw new Error(`Unknown column '${node.table}.${node.name}'`);
+      }
+      alias = source.alias;
+    } else {
+      const matching = this.sources.filter(s => s.columns.includes(node.name));
+      if (matching.length === 0 && this.parent) {
+        return this.resolveOuter(node);
+      }
+      if (matching.length === 0) {
+        throw new Error(`Unknown column '${node.name}'`);
+      }
+      if (matching.length > 1) {
+        throw new Error(`Column '${node.name}' is ambiguous`);
+      }
+      alias = matching[0].alias;
+    }
+
+    this.resolved.set(node, alias);
+    return alias;
+  }
+
+  resolveOuter(node) {
+    this.parent.resolveSource(node);
+    this.outerColumns.push(node);
+    this.resolved.set(node, null);
+    return null;
+  }
+
+  // Collects the aliases of every source referenced by an expression,
+  // including those a correlated subquery reads
+  referencedSources(node, aliases = new Set()) {
+    const add = column => {
+      const alias = this.resolveSource(column);
+      if (alias !== null) aliases.add(alias);
+    };
+    Evaluator.walk(node, child => {
+      if (child.type === 'Column') add(child);
+      if (Evaluator.isSubquery(child)) (child.outerColumns || []).forEach(add);
+    });
+    return aliases;
+  }
+
+  // Visits an expression node and every node nested inside it. A subquery's
+  // own query is not entered: its columns belong to another scope.
+  static walk(node, visit) {
+    if (Array.isArray(node)) {
+      node.forEach(item => Evaluator.walk(item, visit));
+      return;
+    }
+    if (!node || typeof node !== 'object') return;
+
+    // Returning false from visit skips the node's children
+    if (typeof node.type === 'string' && visit(node) === false) return;
+    for (const key in node) {
+      if (Evaluator.isSubquery(node) && key !== 'expr') continue;
+      const value = node[key];
+      if (value && typeof value === 'object') Evaluator.walk(value, visit);
+    }
+  }
+
+  // True only when the expression evaluates to TRUE (NULL counts as no match)
+  matches(node, row) {
+    return this.evaluate(node, row) === true;
+  }
+
+  evaluate(node, row) {
+    switch (node.type) {
+      case 'Literal':
+        return node.value;
+
+      case 'Column': {
+        const record = this.sources ? row[this.resolveSource(node)] : row;
+        const value = record ? record[node.name] : undefined;
+        return value === undefined ? null : value;
+      }
+
+      case 'Unary':
+        return this.evaluateUnary(node, row);
+
+      case 'Binary':
+        return this.evaluateBinary(node, row);
+
+      case 'IsNull': {
+        const isNull = this.evaluate(node.expr, row) === null;
+        return node.negated ? !isNull : isNull;
+      }
+
+      case 'Like': {
+        const value = this.evaluate(node.expr, row);
+        const pattern = this.evaluate(node.pattern, row);
+        if (value === null || pattern === null) return null;
+        const result = Evaluator.likeToRegExp(pattern).test(String(value));
+        return node.negated ? !result : result;
+      }
+
+      case 'In':
+      case 'InSubquery':
+        return this.evaluateIn(node, row);
+
+      case 'Subquery': {
+        const rows = this.subquery(node, row);
+        if (rows.length > 1) {
+          throw new Error(`Subquery returned ${rows.length} rows where one value was expected`);
+        }
+        return rows.length === 0 ? null : rows[0][0];
+      }
+
+      case 'Exists':
+        return this.subquery(node, row).length > 0;
+
+      case 'Between': {
+        const value = this.evaluate(node.expr, row);
+        const low = this.evaluate(node.low, row);
+        const high = this.evaluate(node.high, row);
+        const result = this.and(this.compare('>=', value, low), this.compare('<=', value, high));
+        return node.negated ? this.not(result) : result;
+      }
+
+      case 'Case':
+        return this.evaluateCase(node, row);
+
+      case 'Function':
+        return this.evaluateFunction(node, row);
+
+      case 'Cast':
+        return Functions.cast(this.evaluate(node.expr, row), node.dataType, node.typeArgs);
+
+      case 'Interval':
+        return Functions.interval(this.evaluate(node.value, row), node.unit);
+
+      case 'Star':
+        throw new Error('* is not allowed in this context');
+
+      default:
+        throw new Error(`Cannot evaluate expression of type ${node.type}`);
+    }
+  }
+
+  evaluateUnary(node, row) {
+    const value = this.evaluate(node.operand, row);
+
+    switch (node.operator) {
+      case 'NOT': return this.not(value);
+      case '-': return value === null ? null : -value;
+      case '+': return value === null ? null : +value;
+      default: throw new Error(`Unknown operator ${node.operator}`);
+    }
+  }
+
+  evaluateBinary(node, row) {
+    if (node.operator === 'AND') {
+      const left = this.evaluate(node.left, row);
+      if (left === false) return false;
+      return this.and(left, this.evaluate(node.right, row));
+    }
+
+    if (node.operator === 'OR') {
+      const left = this.evaluate(node.left, row);
+      if (left === true) return true;
+      return this.or(left, this.evaluate(node.right, row));
+    }
+
+    const left = this.evaluate(node.left, row);
+    const right = this.evaluate(node.right, row);
+    if (ARITHMETIC_OPERATORS.has(node.operator)) {
+      return this.arithmetic(node.operator, left, right);
+    }
+    return this.compare(node.operator, left, right);
+  }
+
+  // +, -, *, /, % and || (concatenation); NULL in, NULL out
+  arithmetic(operator, left, right) {
+    if (left === null || right === null) return null;
+
+    if (operator === '||') {
+      const text = value => value instanceof Date ? value.toISOString()
+        : typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return text(left) + text(right);
+    }
+
+    const a = Evaluator.toNumber(left, operator);
+    const b = Evaluator.toNumber(right, operator);
+    switch (operator) {
+      case '+': return a + b;
+      case '-': return a - b;
+      case '*': return a * b;
+      case '/':
+      case '%':
+        if (b === 0) throw new Error('Division by zero');
+        return operator === '/' ? a / b : a % b;
+    }
+  }
+
+  // Numbers and numeric strings take part in arithmetic; anything else is an error
+  static toNumber(value, operator) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) return Number(value);
+    throw new Error(`Cannot apply ${operator} to ${JSON.stringify(value)}`);
+  }
+
+  // The THEN of the first WHEN that is true (or equals the operand), else ELSE
+  evaluateCase(node, row) {
+    const operand = node.operand ? this.evaluate(node.operand, row) : null;
+    for (const branch of node.branches) {
+      const matched = node.operand
+        ? this.compare('=', operand, this.evaluate(branch.when, row))
+        : this.evaluate(branch.when, row);
+      if (matched === true) return this.evaluate(branch.then, row);
+    }
+    return node.else ? this.evaluate(node.else, row) : null;
+  }
+
+  evaluateFunction(node, row) {
+    if (Evaluator.isWindow(node)) {
+      const windows = row && row[WINDOWS];
+      if (!windows || !windows.has(node)) {
+        throw new Error(`Window function ${node.name} is not allowed here`);
+      }
+      return windows.get(node);
+    }
+    if (WINDOW_FUNCTIONS.has(node.name)) {
+      throw new Error(`${node.name} needs an OVER clause`);
+    }
+    if (Evaluator.isAggregate(node)) {
+      const aggregates = row && row[AGGREGATES];
+      if (!aggregates || !aggregates.has(node)) {
+        throw new Error(`Aggregate function ${node.name} is not allowed here`);
+      }
+      return aggregates.get(node);
+    }
+    if (node.star || node.distinct) {
+      throw new Error(`${node.star ? '*' : 'DISTINCT'} is only allowed in aggregate functions`);
+    }
+
+    const args = node.args.map(arg => this.evaluate(arg, row));
+    const custom = this.functions && this.functions.get(node.name);
+    if (custom) {
+      const result = custom(...args);
+      return result === undefined ? null : result;
+    }
+    return Functions.call(node.name, args);
+  }
+
+  // Computes an aggregate function call over the rows of one group
+  aggregate(node, rows) {
+    if (node.star) {
+      if (node.name !== 'COUNT') {
+        throw new Error(`${node.name}(*) is not supported`);
+      }
+      return rows.length;
+    }
+
+    if (node.args.length !== 1) {
+      throw new Error(`${node.name} expects exactly one argument`);
+    }
+    return Evaluator.aggregateValues(node, rows.map(row => this.evaluate(node.args[0], row)));
+  }
+
+  // Computes an aggregate function over its argument's value for each row
+  static aggregateValues(node, values) {
+    values = values.filter(value => value !== null);
+    if (node.distinct) {
+      const seen = new Set();
+      values = values.filter(value => {
+        const key = `${typeof value}:${value instanceof Date ? value.getTime() : value}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    }
+
+    switch (node.name) {
+      case 'COUNT':
+        return values.length;
+      case 'SUM':
+      case 'AVG': {
+        if (values.length === 0) return null;
+        const sum = values.reduce((total, value) => total + Number(value), 0);
+        return node.name === 'SUM' ? sum : sum / values.length;
+      }
+      case 'MIN':
+      case 'MAX': {
+        if (values.length === 0) return null;
+        const sign = node.name === 'MIN' ? 1 : -1;
+        return values.reduce((best, value) => sign * Evaluator.compareValues(value, best) < 0 ? value : best);
+      }
+      default:
+        throw new Error(`Unknown aggregate function ${node.name}`);
+    }
+  }
+
+  // The rows of a subquery as arrays of values. The query planning the
+  // expression gives each subquery node a run function.
+  subquery(node, row) {
+    if (!node.run) {
+      throw new Error('Subqueries are not allowed here');
+    }
+    return node.run(row, this);
+  }
+
+  evaluateIn(node, row) {
+    const value = this.evaluate(node.expr, row);
+    const list = node.type === 'InSubquery' ? this.subquery(node, row).map(values => literal(values[0])) : node.list;
+
+    // Nothing is IN an empty subquery result, not even NULL
+    if (list.length === 0) return node.negated;
+    if (value === null) return null;
+
+    let result = false;
+    for (const item of list) {
+      const match = this.compare('=', value, this.evaluate(item, row));
+      if (match === true) {
+        result = true;
+        break;
+      }
+      if (match === null) result = null;
+    }
+
+    return node.negated ? this.not(result) : result;
+  }
+
+  compare(operator, left, right) {
+    if (left === null || right === null) return null;
+
+    const order = Evaluator.compareValues(left, right);
+    switch (operator) {
+      case '=': return order === 0;
+      case '!=': return order !== 0;
+      case '<': return order < 0;
+      case '>': return order > 0;
+      case '<=': return order <= 0;
+      case '>=': return order >= 0;
+      default: throw new Error(`Unknown operator ${operator}`);
+    }
+  }
+
+  // Three-valued logic helpers where null means UNKNOWN
+  not(value) {
+    return value === null ? null : !value;
+  }
+
+  and(left, right) {
+    if (left === false || right === false) return false;
+    if (left === null || right === null) return null;
+    return true;
+  }
+
+  or(left, right) {
+    if (left === true || right === true) return true;
+    if (left === null || right === null) return null;
+    return false;
+  }
+}
+
+Evaluator.AGGREGATES = AGGREGATES;
+Evaluator.WINDOWS = WINDOWS;
+Evaluator.WINDOW_FUNCTIONS = WINDOW_FUNCTIONS;
+
+module.exports = Evaluator;
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const writeFileAtomic = require('./writeFileAtomic.js');
+
+// The storage adapter that keeps databases on disk. Every file Database,
+// Table, the storage engines and the write-ahead log use goes through an
+// adapter with these methods, so MemoryAdapter or a custom object with the
+// same methods can take its place. Paths are absolute, and every call is
+// synchronous.
+class FileSystemAdapter {
+  constructor() {
+    // Open descriptors of files read or written in place: path -> { fd, flags }
+    this.handles = new Map();
+  }
+
+  exists(file) {
+    return fs.existsSync(file);
+  }
+
+  readFile(file) {
+    return fs.readFileSync(file);
+  }
+
+  // Replaces the file's content durably: a crash leaves the old or the new
+  // content, never a mix
+  writeFile(file, content) {
+    this.close(file);
+    writeFileAtomic(file, content);
+  }
+
+  // Creates the file with the given content unless it already exists, and
+  // returns whether it did. Nobody sees the file before its content is
+  // complete. Used for lock files, so it is not made durable.
+  createExclusive(file, content) {
+    const tempPath = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, content);
+    try {
+      fs.linkSync(tempPath, file);
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') return false;
+      throw error;
+    } finally {
+      fs.unlinkSync(tempPath);
+    }
+  }
+
+  // Durably adds content to the end of the file, creating it if needed
+  appendFile(file, content) {
+    const fd = this.open(file, 'a');
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  }
+
+  // Reads length bytes at position; bytes past the end of the file are zero
+  read(file, position, length) {
+    const buffer = Buffer.alloc(length);
+    fs.readSync(this.open(file, 'r+'), buffer, 0, length, position);
+    return buffer;
+  }
+
+  // Writes buffer at position, creating the file if needed. Call sync to make
+  // the change durable.
+  write(file, position, buffer) {
+    fs.writeSync(this.open(file, 'r+'), buffer, 0, buffer.length, position);
+  }
+
+  truncate(file, length) {
+    fs.ftruncateSync(this.open(file, 'r+'), length);
+  }
+
+  sync(file) {
+    fs.fsyncSync(this.open(file, 'r+'));
+  }
+
+  size(file) {
+    return fs.statSync(file).size;
+  }
+
+  rename(from, to) {
+    this.close(from);
+    this.close(to);
+    fs.renameSync(from, to);
+  }
+
+  remove(file) {
+    this.close(file);
+    fs.unlinkSync(file);
+  }
+
+  // Names of the files in dir, or [] when it does not exist
+  listFiles(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter(dirent => dirent.isFile())
+      .map(dirent => dirent.name);
+  }
+
+  listDirectories(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter(dirent => dirent.isDirectory())
+      .map(dirent => dirent.name);
+  }
+
+  mkdir(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  // Closes the file's descriptor, if one is open
+  close(file) {
+    const handle = this.handles.get(file);
+    if (handle) {
+      fs.closeSync(handle.fd);
+      this.handles.delete(file);
+    }
+  }
+
+  open(file, flags) {
+    const handle = this.handles.get(file);
+    if (handle && handle.flags === flags) return handle.fd;
+    this.close(file);
+
+    const fd = fs.openSync(file, flags === 'r+' && !fs.existsSync(file) ? 'w+' : flags);
+    this.handles.set(file, { fd, flags });
+    return fd;
+  }
+}
+
+module.exports = FileSystemAdapter;
@@ -0,0 +1,224 @@
+const DataType = require('./DataType.js');
+
+// Units accepted by INTERVAL, EXTRACT and DATE_TRUNC, in milliseconds where
+// the length is fixed
+const UNIT_MILLISECONDS = {
+  SECOND: 1000,
+  MINUTE: 60 * 1000,
+  HOUR: 60 * 60 * 1000,
+  DAY: 24 * 60 * 60 * 1000,
+  WEEK: 7 * 24 * 60 * 60 * 1000
+};
+
+const CALENDAR_MONTHS = { MONTH: 1, QUARTER: 3, YEAR: 12 };
+
+// Built-in scalar functions: the number of arguments they take and their
+// implementation. Unless nulls is set, a NULL argument makes the result NULL
+// without calling the function.
+const BUILTINS = {
+  UPPER: { args: [1, 1], fn: value => text(value).toUpperCase() },
+  LOWER: { args: [1, 1], fn: value => text(value).toLowerCase() },
+  LENGTH: { args: [1, 1], fn: value => [...text(value)].length },
+  SUBSTR: { args: [2, 3], fn: substr },
+  SUBSTRING: { args: [2, 3], fn: substr },
+  TRIM: { args: [1, 1], fn: value => text(value).trim() },
+  LTRIM: { args: [1, 1], fn: value => text(value).trimStart() },
+  RTRIM: { args: [1, 1], fn: value => text(value).trimEnd() },
+  REPLACE: { args: [3, 3], fn: (value, from, to) => text(value).split(text(from)).join(text(to)) },
+
+  ABS: { args: [1, 1], fn: value => Math.abs(number(value, 'ABS')) },
+  ROUND: { args: [1, 2], fn: round },
+  FLOOR: { args: [1, 1], fn: value => Math.floor(number(value, 'FLOOR')) },
+  CEIL: { args: [1, 1], fn: value => Math.ceil(number(value, 'CEIL')) },
+
+  COALESCE: { args: [1, Infinity], nulls: true, fn: (...values) => values.find(value => value !== null) ?? null },
+  NULLIF: { args: [2, 2], nulls: true, fn: nullif },
+
+  NOW: { args: [0, 0], fn: () => new Date() },
+  DATE_ADD: { args: [2, 2], fn: (value, interval) => addInterval(date(value, 'DATE_ADD'), interval, 1) },
+  DATE_SUB: { args: [2, 2], fn: (value, interval) => addInterval(date(value, 'DATE_SUB'), interval, -1) },
+  EXTRACT: { args: [2, 2], fn: extract },
+  DATE_TRUNC: { args: [2, 2], fn: truncate }
+};
+
+function text(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function number(value, name) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) return Number(value);
+  throw new Error(`${name} expects a number but got ${JSON.stringify(value)}`);
+}
+
+function integer(value, name) {
+  const result = number(value, name);
+  if (!Number.isInteger(result)) {
+    throw new Error(`${name} expects an integer but got ${JSON.stringify(value)}`);
+  }
+  return result;
+}
+
+function date(value, name) {
+  const result = value instanceof Date ? value : typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+  if (!result || isNaN(result)) {
+    throw new Error(`${name} expects a date but got ${JSON.stringify(value)}`);
+  }
+  return result;
+}
+
+function unit(value, name) {
+  const key = String(value).toUpperCase().replace(/S$/, '');
+  if (!UNIT_MILLISECONDS[key] && !CALENDAR_MONTHS[key]) {
+    throw new Error(`${name} does not know the unit '${value}'`);
+  }
+  return key;
+}
+
+// SUBSTR(text, start [, length]) counts from 1
+function substr(value, start, length) {
+  const from = integer(start, 'SUBSTR') - 1;
+  if (length === undefined) return text(value).slice(Math.max(from, 0));
+  const count = integer(length, 'SUBSTR');
+  if (count < 0) {
+    throw new Error('SUBSTR length cannot be negative');
+  }
+  return text(value).slice(Math.max(from, 0), Math.max(from + count, 0));
+}
+
+// Halves round away from zero. Scaling up can land just under a half (1.005 * 100
+// is 100.49999...), so a scaled value is nudged up by one part in 2^52 first.
+function round(value, digits = 0) {
+  const n = number(value, 'ROUND');
+  const places = integer(digits, 'ROUND');
+  const magnitude = Math.abs(n);
+  const scale = 10 ** Math.abs(places);
+  
+  // Past 2^52 a number has no fraction left, and past 10^308 the scale overflows
+  if (places >= 0 && (magnitude >= 2 ** 52 || scale === Infinity)) return n;
+  if (scale === Infinity) return Math.sign(n) * 0;
+  
+  if (places < 0) return Math.sign(n) * Math.round(magnitude / scale) * scale;
+  const scaled = places > 0 ? magnitude * scale * (1 + Number.EPSILON) : magnitude;
+  return Math.sign(n) * Math.round(scaled) / scale;
+}
+
+function nullif(a, b) {
+  if (a === null || b === null) return a;
+  // Required here because the Evaluator requires this module
+  const Evaluator = require('./Evaluator.js');
+  return Evaluator.compareValues(a, b) === 0 ? null : a;
+}
+
+// Dates are shifted in UTC. Adding months keeps the day of the month where it
+// exists and otherwise stops at the month's last day (Jan 31 + 1 month is Feb 28).
+function addInterval(value, interval, sign) {
+  const { amount, unit: key } = typeof interval === 'number' ? { amount: interval, unit: 'DAY' } : Functions.checkInterval(interval);
+  const result = new Date(value.getTime());
+
+  if (CALENDAR_MONTHS[key]) {
+    const months = sign * amount * CALENDAR_MONTHS[key];
+    const day = result.getUTCDate();
+    result.setUTCDate(1);
+    result.setUTCMonth(result.getUTCMonth() + months);
+    const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+    result.setUTCDate(Math.min(day, lastDay));
+    return result;
+  }
+
+  result.setTime(result.getTime() + sign * amount * UNIT_MILLISECONDS[key]);
+  return result;
+}
+
+// EXTRACT(field FROM date): YEAR, QUARTER, MONTH, WEEK (ISO), DAY, HOUR,
+// MINUTE, SECOND, DOW (0 is Sunday), DOY or EPOCH (seconds)
+function extract(field, value) {
+  const d = date(value, 'EXTRACT');
+  switch (String(field).toUpperCase()) {
+    case 'YEAR': return d.getUTCFullYear();
+    case 'QUARTER': return Math.floor(d.getUTCMonth() / 3) + 1;
+    case 'MONTH': return d.getUTCMonth() + 1;
+    case 'DAY': return d.getUTCDate();
+    case 'HOUR': return d.getUTCHours();
+    case 'MINUTE': return d.getUTCMinutes();
+    case 'SECOND': return d.getUTCSeconds() + d.getUTCMilliseconds() / 1000;
+    case 'DOW': return d.getUTCDay();
+    case 'DOY': return Math.floor((d - Date.UTC(d.getUTCFullYear(), 0, 1)) / UNIT_MILLISECONDS.DAY) + 1;
+    case 'EPOCH': return d.getTime() / 1000;
+    case 'WEEK': {
+      // The ISO week belongs to the year of its Thursday
+      const thursday = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 3 - (d.getUTCDay() + 6) % 7));
+      return Math.floor((thursday - Date.UTC(thursday.getUTCFullYear(), 0, 1)) / UNIT_MILLISECONDS.WEEK) + 1;
+    }
+    default:
+      throw new Error(`EXTRACT does not know the field '${field}'`);
+  }
+}
+
+// DATE_TRUNC(unit, date) sets every smaller field to its start; weeks start on Monday
+function truncate(field, value) {
+  const key = unit(field, 'DATE_TRUNC');
+  const d = date(value, 'DATE_TRUNC');
+  const parts = [d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), d.getUTCHours(), d.getUTCMinutes(), d.getUTCSeconds()];
+  const kept = { YEAR: 1, QUARTER: 2, MONTH: 2, WEEK: 3, DAY: 3, HOUR: 4, MINUTE: 5, SECOND: 6 }[key];
+  const fields = parts.map((part, i) => i < kept ? part : i === 2 ? 1 : 0);
+
+  if (key === 'QUARTER') fields[1] -= fields[1] % 3;
+  if (key === 'WEEK') fields[2] -= (d.getUTCDay() + 6) % 7;
+  return new Date(Date.UTC(...fields));
+}
+
+class Functions {
+  static has(name) {
+    return Object.prototype.hasOwnProperty.call(BUILTINS, name);
+  }
+
+  static call(name, args) {
+    if (!Functions.has(name)) {
+      throw new Error(`Unknown function ${name}`);
+    }
+
+    const { args: [min, max], nulls, fn } = BUILTINS[name];
+    if (args.length < min || args.length > max) {
+      const expected = min === max ? min : max === Infinity ? `at least ${min}` : `${min} to ${max}`;
+      throw new Error(`${name} expects ${expected} argument(s) but got ${args.length}`);
+    }
+    if (!nulls && args.includes(null)) return null;
+    return fn(...args);
+  }
+
+  // CAST(value AS type) converts like an INSERT into a column of that type,
+  // except that numbers cast to an integer type are rounded
+  static cast(value, dataType, typeArgs = []) {
+    if (value === null) return null;
+
+    const def = DataType.resolve(dataType, typeArgs);
+    if ((def.type === 'integer' || def.type === 'bigint') && typeof value !== 'boolean') {
+      const n = Number(value);
+      if (value !== '' && !isNaN(n)) value = Math.sign(n) * Math.round(Math.abs(n));
+    }
+
+    try {
+      return DataType.cast(value, def);
+    } catch (error) {
+      throw new Error(`Cannot cast ${JSON.stringify(value)} to ${DataType.describe(def)}: ${error.message}`);
+    }
+  }
+
+  // The value of INTERVAL amount unit
+  static interval(amount, name) {
+    if (amount === null) return null;
+    return { amount: number(amount, 'INTERVAL'), unit: unit(name, 'INTERVAL') };
+  }
+
+  static checkInterval(value) {
+    if (!value || typeof value !== 'object' || value.unit === undefined) {
+      throw new Error(`Expected an INTERVAL or a number of days but got ${JSON.stringify(value)}`);
+    }
+    return value;
+  }
+}
+
+module.exports = Functions;
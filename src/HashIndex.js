@@ -0,0 +1,66 @@
+const IndexKey = require('./IndexKey.js');
+
+// Maps each key to the positions of the rows holding it; equality lookups only
+class HashIndex {
+  constructor() {
+    this.type = 'hash';
+    this.ordered = false;
+    this.clear();
+  }
+
+  clear() {
+    this.entries = new Map();
+  }
+
+  // The number of distinct keys
+  get size() {
+    return this.entries.size;
+  }
+
+  insert(key, position) {
+    const encoded = IndexKey.encode(key);
+    const positions = this.entries.get(encoded);
+    if (positions) {
+      positions.push(position);
+    } else {
+      this.entries.set(encoded, [position]);
+    }
+  }
+
+  remove(key, position) {
+    const encoded = IndexKey.encode(key);
+    const positions = this.entries.get(encoded);
+    if (!positions) return;
+
+    const remaining = positions.filter(p => p !== position);
+    if (remaining.length > 0) {
+      this.entries.set(encoded, remaining);
+    } else {
+      this.entries.delete(encoded);
+    }
+  }
+
+  get(key) {
+    return [...(this.entries.get(IndexKey.encode(key)) || [])];
+  }
+
+  // Replaces every position p with fn(p)
+  mapPositions(fn) {
+    for (const positions of this.entries.values()) {
+      positions.forEach((position, i) => {
+        positions[i] = fn(position);
+      });
+    }
+  }
+
+  // The contents as JSON-safe [encoded key, positions] pairs, for restore
+  serialize() {
+    return [...this.entries];
+  }
+
+  restore(entries) {
+    this.entries = new Map(entries);
+  }
+}
+
+module.exports = HashIndex;
@@ -0,0 +1,57 @@
+// Index keys keep their type: the number 1 and the string '1' are different keys.
+// Keys of different types order as null < boolean < number < string < other.
+// Composite keys are arrays compared column by column, where a shorter prefix
+// sorts before every key that extends it and MAX sorts after everything.
+const TYPE_RANK = { null: 0, boolean: 1, number: 2, string: 3, object: 4, array: 5, max: 6 };
+
+const MAX = Object.freeze({ max: true });
+
+class IndexKey {
+  // Missing values are indexed as null and dates by their ISO string, which is
+  // how they read back from disk
+  static normalize(value) {
+    if (value === undefined) return null;
+    if (value instanceof Date) return isNaN(value) ? null : value.toISOString();
+    return value;
+  }
+
+  static rank(key) {
+    if (key === null) return TYPE_RANK.null;
+    if (key === MAX) return TYPE_RANK.max;
+    if (Array.isArray(key)) return TYPE_RANK.array;
+    return TYPE_RANK[typeof key] ?? TYPE_RANK.object;
+  }
+
+  static compare(a, b) {
+    const rankA = IndexKey.rank(a);
+    const rankB = IndexKey.rank(b);
+    if (rankA !== rankB) return rankA - rankB;
+
+    if (rankA === TYPE_RANK.array) {
+      const length = Math.min(a.length, b.length);
+      for (let i = 0; i < length; i++) {
+        const order = IndexKey.compare(a[i], b[i]);
+        if (order !== 0) return order;
+      }
+      return a.length - b.length;
+    }
+
+    if (rankA === TYPE_RANK.object) {
+      a = JSON.stringify(a);
+      b = JSON.stringify(b);
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+
+  // A string that is unique per key and type, for use in Maps
+  static encode(key) {
+    if (key === null) return 'null';
+    if (Array.isArray(key)) return `[${key.map(IndexKey.encode).join(',')}]`;
+    if (typeof key === 'object') return `object:${JSON.stringify(key)}`;
+    return `${typeof key}:${key}`;
+  }
+}
+
+IndexKey.MAX = MAX;
+
+module.exports = IndexKey;
@@ -0,0 +1,83 @@
+// The default storage engine: every row of the table is kept in memory and
+// the whole table is written to one JSON file, { lsn, autoIncrement, saveId,
+// rows }, at each checkpoint. Without a file the rows only live in memory.
+class JsonStorage {
+  constructor(filePath, { revive = row => row, adapter } = {}) {
+    this.filePath = filePath;
+    this.revive = revive;
+    this.adapter = adapter;
+    this.rows = [];
+  }
+
+  get length() {
+    return this.rows.length;
+  }
+
+  get(position) {
+    return this.rows[position];
+  }
+
+  set(position, row) {
+    this.rows[position] = row;
+  }
+
+  // Returns the new row's position
+  push(row) {
+    this.rows.push(row);
+    return this.rows.length - 1;
+  }
+
+  insert(position, row) {
+    this.rows.splice(position, 0, row);
+  }
+
+  remove(position) {
+    this.rows.splice(position, 1);
+  }
+
+  replace(rows) {
+    this.rows = rows;
+  }
+
+  [Symbol.iterator]() {
+    return this.rows[Symbol.iterator]();
+  }
+
+  // Reads the rows and returns what was saved with them ({ lsn, autoIncrement,
+  // saveId }), or null when the table has no file yet. Older files hold a bare
+  // array of rows.
+  load() {
+    if (!this.filePath || !this.adapter.exists(this.filePath)) return null;
+
+    const parsed = JSON.parse(this.adapter.readFile(this.filePath).toString('utf8'));
+    if (Array.isArray(parsed)) {
+      this.rows = parsed.map(this.revive);
+      return { lsn: 0, autoIncrement: {}, saveId: null };
+    }
+    if (!parsed || !Array.isArray(parsed.rows)) {
+      throw new Error('expected a list of rows');
+    }
+
+    this.rows = parsed.rows.map(this.revive);
+    return { lsn: parsed.lsn || 0, autoIncrement: parsed.autoIncrement || {}, saveId: parsed.saveId || null };
+  }
+
+  save({ lsn, autoIncrement, saveId }) {
+    this.adapter.writeFile(this.filePath, JSON.stringify({ lsn, autoIncrement, saveId, rows: this.rows }, null, 2));
+  }
+
+  rename(filePath) {
+    if (this.adapter.exists(this.filePath)) this.adapter.rename(this.filePath, filePath);
+    this.filePath = filePath;
+  }
+
+  drop() {
+    if (this.adapter.exists(this.filePath)) this.adapter.remove(this.filePath);
+  }
+
+  close() {}
+}
+
+JsonStorage.extension = '.json';
+
+module.exports = JsonStorage;
@@ -0,0 +1,209 @@
+const OPERATORS = ['<>', '!=', '<=', '>=', '||', '=', '<', '>', '+', '-', '*', '/', '%'];
+const PUNCTUATION = ['(', ')', ',', ';', '.'];
+
+const ESCAPES = { n: '\n', r: '\r', t: '\t', '0': '\0', '\\': '\\', "'": "'", '"': '"' };
+
+class Lexer {
+  constructor(sql) {
+    this.sql = sql;
+    this.pos = 0;
+    this.line = 1;
+    this.column = 1;
+  }
+
+  static error(message, line, column) {
+    const error = new Error(`Syntax error at line ${line}, column ${column}: ${message}`);
+    error.line = line;
+    error.column = column;
+    return error;
+  }
+
+  tokenize() {
+    const tokens = [];
+    let token;
+    do {
+      token = this.nextToken();
+      tokens.push(token);
+    } while (token.type !== 'eof');
+    return tokens;
+  }
+
+  peekChar(offset = 0) {
+    return this.sql[this.pos + offset];
+  }
+
+  advance() {
+    const ch = this.sql[this.pos++];
+    if (ch === '\n') {
+      this.line++;
+      this.column = 1;
+    } else {
+      this.column++;
+    }
+    return ch;
+  }
+
+  skipWhitespaceAndComments() {
+    while (this.pos < this.sql.length) {
+      const ch = this.peekChar();
+
+      if (/\s/.test(ch)) {
+        this.advance();
+      } else if (ch === '-' && this.peekChar(1) === '-') {
+        while (this.pos < this.sql.length && this.peekChar() !== '\n') this.advance();
+      } else if (ch === '/' && this.peekChar(1) === '*') {
+        const line = this.line;
+        const column = this.column;
+        this.advance();
+        this.advance();
+        while (!(this.peekChar() === '*' && this.peekChar(1) === '/')) {
+          if (this.pos >= this.sql.length) {
+            throw Lexer.error('Unterminated comment', line, column);
+          }
+          this.advance();
+        }
+        this.advance();
+        this.advance();
+      } else {
+        break;
+      }
+    }
+  }
+
+  nextToken() {
+    this.skipWhitespaceAndComments();
+
+    const line = this.line;
+    const column = this.column;
+    const start = this.pos;
+    const make = (type, value, extra = {}) => ({ type, value, line, column, start, end: this.pos, ...extra });
+
+    if (this.pos >= this.sql.length) {
+      return make('eof', null);
+    }
+
+    const ch = this.peekChar();
+
+    // String literal
+    if (ch === "'") {
+      return make('string', this.readQuoted("'", true));
+    }
+
+    // Quoted identifiers: "name", `name` or [name]
+    if (ch === '"' || ch === '`') {
+      return make('identifier', this.readQuoted(ch, false), { quoted: true });
+    }
+    if (ch === '[') {
+      this.advance();
+      let value = '';
+      while (this.peekChar() !== ']') {
+        if (this.pos >= this.sql.length) {
+          throw Lexer.error('Unterminated quoted identifier', line, column);
+        }
+        value += this.advance();
+      }
+      this.advance();
+      return make('identifier', value, { quoted: true });
+    }
+
+    // Numeric literal
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(this.peekChar(1) || ''))) {
+      return make('number', this.readNumber());
+    }
+
+    // Placeholders: ? (next position), $1 (explicit position) or :name
+    if (ch === '?') {
+      this.advance();
+      return make('parameter', '?');
+    }
+    if (ch === '$' && /[0-9]/.test(this.peekChar(1) || '')) {
+      let text = this.advance();
+      while (/[0-9]/.test(this.peekChar() || '')) text += this.advance();
+      return make('parameter', text);
+    }
+    if (ch === ':' && /[A-Za-z_]/.test(this.peekChar(1) || '')) {
+      let text = this.advance();
+      while (this.pos < this.sql.length && /[A-Za-z0-9_]/.test(this.peekChar())) text += this.advance();
+      return make('parameter', text);
+    }
+
+    // Identifier or keyword
+    if (/[A-Za-z_]/.test(ch)) {
+      let value = '';
+      while (this.pos < this.sql.length && /[A-Za-z0-9_$]/.test(this.peekChar())) {
+        value += this.advance();
+      }
+      return make('identifier', value);
+    }
+
+    for (const op of OPERATORS) {
+      if (this.sql.startsWith(op, this.pos)) {
+        for (let i = 0; i < op.length; i++) this.advance();
+        return make('operator', op);
+      }
+    }
+
+    if (PUNCTUATION.includes(ch)) {
+      this.advance();
+      return make('punctuation', ch);
+    }
+
+    throw Lexer.error(`Unexpected character '${ch}'`, line, column);
+  }
+
+  readQuoted(quote, allowEscapes) {
+    const line = this.line;
+    const column = this.column;
+    this.advance();
+
+    let value = '';
+    while (true) {
+      if (this.pos >= this.sql.length) {
+        throw Lexer.error(allowEscapes ? 'Unterminated string literal' : 'Unterminated quoted identifier', line, column);
+      }
+
+      const ch = this.advance();
+      if (ch === quote) {
+        // A doubled quote is an escaped quote
+        if (this.peekChar() === quote) {
+          value += this.advance();
+          continue;
+        }
+        return value;
+      }
+
+      if (ch === '\\' && allowEscapes && this.pos < this.sql.length) {
+        const next = this.advance();
+        value += next in ESCAPES ? ESCAPES[next] : next;
+        continue;
+      }
+
+      value += ch;
+    }
+  }
+
+  readNumber() {
+    let text = '';
+    while (/[0-9]/.test(this.peekChar() || '')) text += this.advance();
+
+    if (this.peekChar() === '.' && /[0-9]/.test(this.peekChar(1) || '')) {
+      text += this.advance();
+      while (/[0-9]/.test(this.peekChar() || '')) text += this.advance();
+    } else if (this.peekChar() === '.' && text.length > 0 && !/[A-Za-z_]/.test(this.peekChar(1) || '')) {
+      text += this.advance();
+    }
+
+    if (/[eE]/.test(this.peekChar() || '')) {
+      const sign = /[+-]/.test(this.peekChar(1) || '') ? 1 : 0;
+      if (/[0-9]/.test(this.peekChar(1 + sign) || '')) {
+        text += this.advance();
+        if (sign) text += this.advance();
+        while (/[0-9]/.test(this.peekChar() || '')) text += this.advance();
+      }
+    }
+
+    return Number(text);
+  }
+}
+
+module.exports = Lexer;
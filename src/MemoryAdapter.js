@@ -0,0 +1,102 @@
+const path = require('path');
+
+// A storage adapter that keeps every file in memory, for tests and throwaway
+// databases. Databases opened with the same adapter object see each other's
+// files; nothing outlives the process.
+class MemoryAdapter {
+  constructor() {
+    this.files = new Map();
+    this.directories = new Set();
+  }
+
+  exists(file) {
+    return this.files.has(file) || this.directories.has(file);
+  }
+
+  readFile(file) {
+    return Buffer.from(this.file(file));
+  }
+
+  writeFile(file, content) {
+    this.files.set(file, Buffer.from(content));
+  }
+
+  createExclusive(file, content) {
+    if (this.files.has(file)) return false;
+    this.files.set(file, Buffer.from(content));
+    return true;
+  }
+
+  appendFile(file, content) {
+    const existing = this.files.get(file) || Buffer.alloc(0);
+    this.files.set(file, Buffer.concat([existing, Buffer.from(content)]));
+  }
+
+  read(file, position, length) {
+    const buffer = Buffer.alloc(length);
+    this.file(file).copy(buffer, 0, position, position + length);
+    return buffer;
+  }
+
+  write(file, position, buffer) {
+    const existing = this.files.get(file) || Buffer.alloc(0);
+    const end = position + buffer.length;
+    const content = end > existing.length ? Buffer.concat([existing, Buffer.alloc(end - existing.length)]) : existing;
+    buffer.copy(content, position);
+    this.files.set(file, content);
+  }
+
+  truncate(file, length) {
+    const existing = this.file(file);
+    this.files.set(file, length <= existing.length
+      ? existing.subarray(0, length)
+      : Buffer.concat([existing, Buffer.alloc(length - existing.length)]));
+  }
+
+  sync() {}
+
+  size(file) {
+    return this.file(file).length;
+  }
+
+  rename(from, to) {
+    this.files.set(to, this.file(from));
+    this.files.delete(from);
+  }
+
+  remove(file) {
+    this.file(file);
+    this.files.delete(file);
+  }
+
+  listFiles(dir) {
+    return [...this.files.keys()]
+      .filter(file => path.dirname(file) === dir)
+      .map(file => path.basename(file));
+  }
+
+  listDirectories(dir) {
+    return [...this.directories]
+      .filter(directory => path.dirname(directory) === dir)
+      .map(directory => path.basename(directory));
+  }
+
+  mkdir(dir) {
+    for (let directory = dir; !this.directories.has(directory); directory = path.dirname(directory)) {
+      this.directories.add(directory);
+      if (path.dirname(directory) === directory) break;
+    }
+  }
+
+  close() {}
+
+  file(file) {
+    const content = this.files.get(file);
+    if (!content) {
+      throw new Error(`ENOENT: no such file, '${file}'`);
+    }
+    return content;
+  }
+}
+
+module.exports = MemoryAdapter;
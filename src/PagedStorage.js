@@ -0,0 +1,416 @@
+const BufferPool = require('./BufferPool.js');
+
+const MAGIC = 'ALPHAPG1';
+const JOURNAL_MAGIC = 'ALPHAJN1';
+const PAGE_SIZE = 8192;
+
+// Byte sizes of the parts of a data page and of a stored row
+const PAGE_HEADER = 4;
+const SLOT_SIZE = 4;
+const KEY_SIZE = 8;
+const FILE_HEADER = 16;
+const JOURNAL_HEADER = 16;
+
+// Row ids are page * MAX_SLOTS + slot
+const MAX_SLOTS = 65536;
+
+let nextId = 1;
+
+// A storage engine that keeps a table in fixed-size pages of one file and
+// reads them on demand through a buffer pool, so only the pages in use need
+// to be in memory.
+//
+// Page 0 holds the file header: the magic string, the page size and the JSON
+// of what was saved with the rows ({ lsn, autoIncrement, saveId }). Every
+// other page is slotted: a slot count and the offset where row data starts,
+// then an (offset, length) slot per row, growing forward while the rows grow
+// backward from the end of the page. A row is stored as an 8-byte order key followed
+// by its JSON; an empty slot has length 0.
+//
+// Table positions are kept in memory as the row id of each position. Keys
+// rise with every row added and a row put back between two others gets a key
+// between theirs, so sorting the keys found in the pages rebuilds the
+// positions on load.
+//
+// Changed pages stay in the pool until a checkpoint calls save. Their new
+// contents are first written to <file>-journal, which appears atomically, and
+// then copied into place; a journal left by a crash is copied again on load.
+class PagedStorage {
+  constructor(filePath, { revive = row => row, bufferPool = null, adapter } = {}) {
+    this.id = nextId++;
+    this.filePath = filePath;
+    this.revive = revive;
+    this.pool = bufferPool || new BufferPool();
+    this.adapter = adapter;
+    this.pageSize = PAGE_SIZE;
+    this.meta = { lsn: 0, autoIncrement: {}, saveId: null };
+    this.reset();
+  }
+
+  reset() {
+    this.pool.discard(this);
+    this.pageCount = 1;
+    this.locations = [];
+    this.keys = [];
+    this.nextKey = 1;
+    this.free = [];
+    this.roomy = new Set();
+    this.lastPage = 0;
+  }
+
+  get length() {
+    return this.locations.length;
+  }
+
+  get(position) {
+    const { pageNo, slot } = this.locate(position);
+    const buffer = this.page(pageNo);
+    const { offset, length } = PagedStorage.slot(buffer, slot);
+    return this.revive(JSON.parse(buffer.toString('utf8', offset + KEY_SIZE, offset + length)));
+  }
+
+  // Rewrites the row in its slot when it still fits in its page, and moves
+  // it to another page otherwise
+  set(position, row) {
+    const record = this.encode(row, this.keys[position]);
+    this.checkFits(record);
+    const { pageNo, slot } = this.locate(position);
+    const buffer = this.page(pageNo);
+    const { offset, length } = PagedStorage.slot(buffer, slot);
+
+    if (record.length <= length) {
+      record.copy(buffer, offset);
+      buffer.writeUInt16LE(record.length, PAGE_HEADER + slot * SLOT_SIZE + 2);
+      this.pool.markDirty(this, pageNo);
+      this.updateFree(pageNo, buffer);
+      return;
+    }
+
+    if (record.length <= this.free[pageNo] + length) {
+      buffer.writeUInt16LE(0, PAGE_HEADER + slot * SLOT_SIZE + 2);
+      this.write(pageNo, buffer, record, slot);
+      return;
+    }
+
+    // Placed before the old slot is cleared, so a failure leaves the row as it was
+    const rid = this.place(record);
+    this.clear(pageNo, slot);
+    this.locations[position] = rid;
+  }
+
+  // Returns the new row's position
+  push(row) {
+    const key = this.nextKey++;
+    this.locations.push(this.place(this.encode(row, key)));
+    this.keys.push(key);
+    return this.locations.length - 1;
+  }
+
+  insert(position, row) {
+    const key = this.keyAt(position);
+    this.locations.splice(position, 0, this.place(this.encode(row, key)));
+    this.keys.splice(position, 0, key);
+  }
+
+  remove(position) {
+    const { pageNo, slot } = this.locate(position);
+    this.clear(pageNo, slot);
+    this.locations.splice(position, 1);
+    this.keys.splice(position, 1);
+  }
+
+  // Starts the table over with the given rows; nothing reaches the file
+  // before the next save
+  replace(rows) {
+    this.reset();
+    rows.forEach(row => this.push(row));
+  }
+
+  *[Symbol.iterator]() {
+    for (let position = 0; position < this.locations.length; position++) {
+      yield this.get(position);
+    }
+  }
+
+  // Finishes any interrupted checkpoint, reads the header and rebuilds the
+  // positions from the slots of every page. Returns what was saved with the
+  // rows, or null when the table has no file yet.
+  load() {
+    if (this.adapter.exists(this.journalPath())) {
+      this.applyJournal(this.adapter.readFile(this.journalPath()));
+    }
+    if (!this.adapter.exists(this.filePath)) return null;
+
+    const size = this.adapter.size(this.filePath);
+    const start = this.adapter.read(this.filePath, 0, FILE_HEADER);
+    if (size < FILE_HEADER || start.toString('latin1', 0, MAGIC.length) !== MAGIC) {
+      throw new Error('not a paged table file');
+    }
+    this.pageSize = start.readUInt32LE(8);
+    if (size % this.pageSize !== 0) {
+      throw new Error(`its size (${size} bytes) is not a whole number of ${this.pageSize}-byte pages`);
+    }
+
+    const header = this.readPage(0);
+    const metaLength = header.readUInt32LE(12);
+    this.meta = JSON.parse(header.toString('utf8', FILE_HEADER, FILE_HEADER + metaLength));
+
+    this.reset();
+    this.pageCount = size / this.pageSize;
+    const entries = [];
+    for (let pageNo = 1; pageNo < this.pageCount; pageNo++) {
+      const buffer = this.page(pageNo);
+      const count = buffer.readUInt16LE(0);
+      for (let slot = 0; slot < count; slot++) {
+        const { offset, length } = PagedStorage.slot(buffer, slot);
+        if (length === 0) continue;
+        if (length < KEY_SIZE || offset + length > this.pageSize) {
+          throw new Error(`page ${pageNo} is damaged`);
+        }
+        entries.push({ key: buffer.readDoubleLE(offset), rid: pageNo * MAX_SLOTS + slot });
+      }
+      this.updateFree(pageNo, buffer);
+    }
+
+    entries.sort((a, b) => a.key - b.key);
+    this.locations = entries.map(entry => entry.rid);
+    this.keys = entries.map(entry => entry.key);
+    this.nextKey = entries.length > 0 ? Math.floor(entries[entries.length - 1].key) + 1 : 1;
+    this.lastPage = this.pageCount - 1;
+    return this.meta;
+  }
+
+  // Writes the header and every changed page through the journal
+  save({ lsn, autoIncrement, saveId }) {
+    this.meta = { lsn, autoIncrement, saveId };
+    const pages = [{ pageNo: 0, buffer: this.header() }, ...this.pool.dirtyPages(this)];
+
+    const journal = Buffer.alloc(JOURNAL_HEADER + pages.length * (4 + this.pageSize));
+    journal.write(JOURNAL_MAGIC, 0, 'latin1');
+    journal.writeUInt32LE(this.pageSize, 8);
+    journal.writeUInt32LE(this.pageCount, 12);
+    pages.forEach(({ pageNo, buffer }, i) => {
+      const at = JOURNAL_HEADER + i * (4 + this.pageSize);
+      journal.writeUInt32LE(pageNo, at);
+      buffer.copy(journal, at + 4);
+    });
+
+    this.adapter.writeFile(this.journalPath(), journal);
+    this.applyJournal(journal);
+    this.pool.markClean(this);
+  }
+
+  // Copies the journal's pages into the file, cuts the file to the journal's
+  // page count and removes the journal
+  applyJournal(journal) {
+    if (journal.toString('latin1', 0, JOURNAL_MAGIC.length) !== JOURNAL_MAGIC) {
+      throw new Error(`journal ${this.journalPath()} is damaged`);
+    }
+    const pageSize = journal.readUInt32LE(8);
+    const pageCount = journal.readUInt32LE(12);
+
+    for (let at = JOURNAL_HEADER; at < journal.length; at += 4 + pageSize) {
+      this.adapter.write(this.filePath, journal.readUInt32LE(at) * pageSize, journal.subarray(at + 4, at + 4 + pageSize));
+    }
+    this.adapter.truncate(this.filePath, pageCount * pageSize);
+    this.adapter.sync(this.filePath);
+    this.adapter.remove(this.journalPath());
+  }
+
+  rename(filePath) {
+    if (this.adapter.exists(this.filePath)) this.adapter.rename(this.filePath, filePath);
+    this.filePath = filePath;
+  }
+
+  drop() {
+    this.close();
+    [this.filePath, this.journalPath()].forEach(file => {
+      if (this.adapter.exists(file)) this.adapter.remove(file);
+    });
+  }
+
+  // Changes not yet saved are lost
+  close() {
+    this.adapter.close(this.filePath);
+    this.pool.discard(this);
+  }
+
+  journalPath() {
+    return `${this.filePath}-journal`;
+  }
+
+  page(pageNo) {
+    return this.pool.get(this, pageNo, () => this.readPage(pageNo));
+  }
+
+  readPage(pageNo) {
+    return this.adapter.read(this.filePath, pageNo * this.pageSize, this.pageSize);
+  }
+
+  header() {
+    const meta = Buffer.from(JSON.stringify(this.meta));
+    if (FILE_HEADER + meta.length > this.pageSize) {
+      throw new Error('The saved table settings do not fit in the header page');
+    }
+    const buffer = Buffer.alloc(this.pageSize);
+    buffer.write(MAGIC, 0, 'latin1');
+    buffer.writeUInt32LE(this.pageSize, 8);
+    buffer.writeUInt32LE(meta.length, 12);
+    meta.copy(buffer, FILE_HEADER);
+    return buffer;
+  }
+
+  static slot(buffer, slot) {
+    const at = PAGE_HEADER + slot * SLOT_SIZE;
+    return { offset: buffer.readUInt16LE(at), length: buffer.readUInt16LE(at + 2) };
+  }
+
+  locate(position) {
+    const rid = this.locations[position];
+    if (rid === undefined) {
+      throw new Error(`Row ${position} does not exist`);
+    }
+    return { pageNo: Math.floor(rid / MAX_SLOTS), slot: rid % MAX_SLOTS };
+  }
+
+  encode(row, key) {
+    const json = Buffer.from(JSON.stringify(row));
+    const record = Buffer.alloc(KEY_SIZE + json.length);
+    record.writeDoubleLE(key, 0);
+    json.copy(record, KEY_SIZE);
+    return record;
+  }
+
+  // Stores a record in the last page added, else in a page with room for it,
+  // else in a new page, and returns its row id
+  place(record) {
+    this.checkFits(record);
+    const needed = record.length + SLOT_SIZE;
+    let pageNo = this.lastPage > 0 && this.free[this.lastPage] >= needed ? this.lastPage : null;
+    if (pageNo === null) {
+      for (const candidate of this.roomy) {
+        if (this.free[candidate] >= needed) {
+          pageNo = candidate;
+          break;
+        }
+      }
+    }
+    if (pageNo === null) pageNo = this.allocate();
+
+    const slot = this.write(pageNo, this.page(pageNo), record);
+    return pageNo * MAX_SLOTS + slot;
+  }
+
+  checkFits(record) {
+    if (PAGE_HEADER + record.length + SLOT_SIZE > this.pageSize) {
+      throw new Error(`A row of ${record.length - KEY_SIZE} bytes does not fit in a ${this.pageSize}-byte page`);
+    }
+  }
+
+  // Writes a record into the page, in the given slot or the first empty one,
+  // compacting the page when its free space is scattered. The page must have
+  // room for it.
+  write(pageNo, buffer, record, slot = null) {
+    const count = buffer.readUInt16LE(0);
+    if (slot === null) {
+      slot = 0;
+      while (slot < count && PagedStorage.slot(buffer, slot).length > 0) slot++;
+    }
+
+    const slots = Math.max(count, slot + 1);
+    if (buffer.readUInt16LE(2) - record.length < PAGE_HEADER + slots * SLOT_SIZE) {
+      this.compact(buffer);
+    }
+
+    const start = buffer.readUInt16LE(2) - record.length;
+    record.copy(buffer, start);
+    buffer.writeUInt16LE(slots, 0);
+    buffer.writeUInt16LE(start, 2);
+    buffer.writeUInt16LE(start, PAGE_HEADER + slot * SLOT_SIZE);
+    buffer.writeUInt16LE(record.length, PAGE_HEADER + slot * SLOT_SIZE + 2);
+    this.pool.markDirty(this, pageNo);
+    this.updateFree(pageNo, buffer);
+    return slot;
+  }
+
+  // Empties a slot, dropping empty slots from the end of the page
+  clear(pageNo, slot) {
+    const buffer = this.page(pageNo);
+    buffer.writeUInt32LE(0, PAGE_HEADER + slot * SLOT_SIZE);
+    let count = buffer.readUInt16LE(0);
+    while (count > 0 && PagedStorage.slot(buffer, count - 1).length === 0) count--;
+    buffer.writeUInt16LE(count, 0);
+    if (count === 0) buffer.writeUInt16LE(this.pageSize, 2);
+    this.pool.markDirty(this, pageNo);
+    this.updateFree(pageNo, buffer);
+  }
+
+  // Moves the rows to the end of the page so its free space is in one piece
+  compact(buffer) {
+    const count = buffer.readUInt16LE(0);
+    const records = [];
+    for (let slot = 0; slot < count; slot++) {
+      const { offset, length } = PagedStorage.slot(buffer, slot);
+      if (length > 0) records.push({ slot, bytes: Buffer.from(buffer.subarray(offset, offset + length)) });
+    }
+
+    let start = this.pageSize;
+    for (const { slot, bytes } of records) {
+      start -= bytes.length;
+      bytes.copy(buffer, start);
+      buffer.writeUInt16LE(start, PAGE_HEADER + slot * SLOT_SIZE);
+    }
+    buffer.writeUInt16LE(start, 2);
+  }
+
+  allocate() {
+    const pageNo = this.pageCount++;
+    const buffer = Buffer.alloc(this.pageSize);
+    buffer.writeUInt16LE(this.pageSize, 2);
+    this.pool.add(this, pageNo, buffer);
+    this.lastPage = pageNo;
+    this.updateFree(pageNo, buffer);
+    return pageNo;
+  }
+
+  // Tracks the free bytes of each page and which pages are at least a quarter free
+  updateFree(pageNo, buffer) {
+    const count = buffer.readUInt16LE(0);
+    let used = PAGE_HEADER;
+    for (let slot = 0; slot < count; slot++) {
+      used += SLOT_SIZE + PagedStorage.slot(buffer, slot).length;
+    }
+
+    this.free[pageNo] = this.pageSize - used;
+    if (this.free[pageNo] >= this.pageSize / 4) this.roomy.add(pageNo);
+    else this.roomy.delete(pageNo);
+  }
+
+  // A key between those of the rows around position. When halving has used
+  // up the precision between them, every row is given a new key first.
+  keyAt(position) {
+    const high = position < this.keys.length ? this.keys[position] : this.nextKey;
+    const low = position > 0 ? this.keys[position - 1] : high - 1;
+    const key = (low + high) / 2;
+    if (key > low && key < high) return key;
+
+    this.renumber();
+    return this.keyAt(position);
+  }
+
+  renumber() {
+    this.keys.forEach((key, position) => {
+      const { pageNo, slot } = this.locate(position);
+      const buffer = this.page(pageNo);
+      buffer.writeDoubleLE(position + 1, PagedStorage.slot(buffer, slot).offset);
+      this.pool.markDirty(this, pageNo);
+      this.keys[position] = position + 1;
+    });
+    this.nextKey = this.keys.length + 1;
+  }
+}
+
+PagedStorage.extension = '.pages';
+PagedStorage.PAGE_SIZE = PAGE_SIZE;
+
+module.exports = PagedStorage;
@@ -0,0 +1,1333 @@
+const Lexer = require('./Lexer.js');
+
+// Words that can never be used as bare identifiers or implicit aliases
+const RESERVED = new Set([
+  'SELECT', 'FROM', 'WHERE', 'ORDER', 'BY', 'LIMIT', 'INSERT', 'INTO', 'VALUES',
+  'UPDATE', 'SET', 'DELETE', 'CREATE', 'DROP', 'TABLE', 'AND', 'OR', 'NOT',
+  'NULL', 'TRUE', 'FALSE', 'LIKE', 'AS', 'ASC', 'DESC', 'IN', 'IS', 'BETWEEN',
+  'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'ON', 'GROUP', 'HAVING',
+  'DISTINCT', 'UNION', 'EXISTS', 'WITH', 'OFFSET', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END'
+]);
+
+const COMPARISON_OPERATORS = ['=', '!=', '<>', '<', '>', '<=', '>='];
+
+class Parser {
+  constructor(sql) {
+    this.sql = sql;
+    this.tokens = new Lexer(sql).tokenize();
+    this.pos = 0;
+    this.positional = 0;
+    this.placeholderStyle = null;
+  }
+
+  // Parses every statement in the input, separated by semicolons
+  parse() {
+    const statements = [];
+
+    while (this.peek().type !== 'eof') {
+      if (this.acceptPunctuation(';')) continue;
+
+      statements.push(this.parseStatement());
+
+      if (this.peek().type !== 'eof') {
+        this.expectPunctuation(';');
+      }
+    }
+
+    return statements;
+  }
+
+  // Token helpers
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    const token = this.peek();
+    if (token.type !== 'eof') this.pos++;
+    return token;
+  }
+
+  describe(token) {
+    if (token.type === 'eof') return 'end of input';
+    return `'${token.value}'`;
+  }
+
+  error(message, token = this.peek()) {
+    return Lexer.error(message, token.line, token.column);
+  }
+
+  isKeyword(keyword, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'identifier' && !token.quoted && token.value.toUpperCase() === keyword;
+  }
+
+  acceptKeyword(keyword) {
+    if (this.isKeyword(keyword)) {
+      this.pos++;
+      return true;
+    }
+    return false;
+  }
+
+  expectKeyword(keyword) {
+    if (!this.acceptKeyword(keyword)) {
+      throw this.error(`Expected ${keyword} but found ${this.describe(this.peek())}`);
+    }
+  }
+
+  isPunctuation(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'punctuation' && token.value === value;
+  }
+
+  acceptPunctuation(value) {
+    if (this.isPunctuation(value)) {
+      this.pos++;
+      return true;
+    }
+    return false;
+  }
+
+  expectPunctuation(value) {
+    if (!this.acceptPunctuation(value)) {
+      throw this.error(`Expected '${value}' but found ${this.describe(this.peek())}`);
+    }
+  }
+
+  isOperator(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'operator' && token.value === value;
+  }
+
+  acceptOperator(value) {
+    if (this.isOperator(value)) {
+      this.pos++;
+      return true;
+    }
+    return false;
+  }
+
+  expectOperator(value) {
+    if (!this.acceptOperator(value)) {
+      throw this.error(`Expected '${value}' but found ${this.describe(this.peek())}`);
+    }
+  }
+
+  parseIdentifier(what = 'identifier') {
+    const token = this.peek();
+    if (token.type !== 'identifier' || (!token.quoted && RESERVED.has(token.value.toUpperCase()))) {
+      throw this.error(`Expected ${what} but found ${this.describe(token)}`);
+    }
+    this.pos++;
+    return token.value;
+  }
+
+  // ? takes the next position, $n names a position and :name a key. A query
+  // uses either positions or names, and ? cannot be mixed with $n.
+  parseParameter() {
+    const token = this.next();
+    const style = token.value === '?' ? '?' : token.value[0];
+    if (this.placeholderStyle && this.placeholderStyle !== style) {
+      const names = { '?': '?', $: '$n', ':': ':name' };
+      throw this.error(`Cannot mix ${names[this.placeholderStyle]} and ${names[style]} placeholders`, token);
+    }
+    this.placeholderStyle = style;
+
+    if (style === '?') return { type: 'Parameter', index: ++this.positional };
+    if (style === '$') {
+      const index = Number(token.value.slice(1));
+      if (index < 1) throw this.error(`Invalid placeholder ${token.value}`, token);
+      return { type: 'Parameter', index };
+    }
+    return { type: 'Parameter', name: token.value.slice(1) };
+  }
+
+  parseIdentifierList(what) {
+    const names = [];
+    this.expectPunctuation('(');
+    do {
+      names.push(this.parseIdentifier(what));
+    } while (this.acceptPunctuation(','));
+    this.expectPunctuation(')');
+    return names;
+  }
+
+  parseInteger(what) {
+    const token = this.peek();
+    if (token.type !== 'number' || !Number.isInteger(token.value)) {
+      throw this.error(`Expected ${what} but found ${this.describe(token)}`);
+    }
+    this.pos++;
+    return token.value;
+  }
+
+  // Statements
+
+  parseStatement() {
+    const token = this.peek();
+    if (token.type !== 'identifier') {
+      throw this.error(`Expected a statement but found ${this.describe(token)}`);
+    }
+
+    switch (token.value.toUpperCase()) {
+      case 'CREATE': return this.parseCreate();
+      case 'INSERT': return this.parseInsert();
+      case 'SELECT':
+      case 'WITH':
+        return this.parseSelect();
+      case 'UPDATE': return this.parseUpdate();
+      case 'DELETE': return this.parseDelete();
+      case 'DROP': return this.parseDrop();
+      case 'ALTER': return this.parseAlter();
+      case 'BEGIN':
+      case 'START':
+      case 'COMMIT':
+      case 'ROLLBACK':
+      case 'SAVEPOINT':
+      case 'RELEASE':
+        return this.parseTransactionControl();
+      case 'SHOW': return this.parseShow();
+      case 'EXPLAIN': return this.parseExplain();
+      case 'ANALYZE': return this.parseAnalyze();
+      case 'REFRESH': return this.parseRefresh();
+      case 'USE':
+        this.next();
+        return { type: 'Use', database: this.parseIdentifier('database name') };
+      default:
+        throw this.error(`Unknown command: ${token.value}`);
+    }
+  }
+
+  // EXPLAIN [ANALYZE] SELECT|UPDATE|DELETE ...
+  parseExplain() {
+    this.expectKeyword('EXPLAIN');
+    const analyze = this.acceptKeyword('ANALYZE');
+    if (!['SELECT', 'WITH', 'UPDATE', 'DELETE'].some(keyword => this.isKeyword(keyword))) {
+      throw this.error(`Expected SELECT, UPDATE or DELETE after EXPLAIN but found ${this.describe(this.peek())}`);
+    }
+    return { type: 'Explain', analyze, statement: this.parseStatement() };
+  }
+
+  // ANALYZE [TABLE] [name]
+  parseAnalyze() {
+    this.expectKeyword('ANALYZE');
+    this.acceptKeyword('TABLE');
+    const table = this.peek().type === 'identifier' ? this.parseIdentifier('table name') : null;
+    return { type: 'Analyze', table };
+  }
+
+  parseTransactionControl() {
+    const keyword = this.next().value.toUpperCase();
+
+    switch (keyword) {
+      case 'START':
+        this.expectKeyword('TRANSACTION');
+        return { type: 'Begin' };
+      case 'BEGIN':
+        if (!this.acceptKeyword('TRANSACTION')) this.acceptKeyword('WORK');
+        return { type: 'Begin' };
+      case 'COMMIT':
+        if (!this.acceptKeyword('TRANSACTION')) this.acceptKeyword('WORK');
+        return { type: 'Commit' };
+      case 'ROLLBACK':
+        if (!this.acceptKeyword('TRANSACTION')) this.acceptKeyword('WORK');
+        if (this.acceptKeyword('TO')) {
+          this.acceptKeyword('SAVEPOINT');
+          return { type: 'Rollback', savepoint: this.parseIdentifier('savepoint name') };
+        }
+        return { type: 'Rollback', savepoint: null };
+      case 'SAVEPOINT':
+        return { type: 'Savepoint', name: this.parseIdentifier('savepoint name') };
+      case 'RELEASE':
+        this.acceptKeyword('SAVEPOINT');
+        return { type: 'Release', name: this.parseIdentifier('savepoint name') };
+    }
+  }
+
+  parseCreate() {
+    this.expectKeyword('CREATE');
+    if (this.isKeyword('UNIQUE') || this.isKeyword('INDEX')) {
+      return this.parseCreateIndex();
+    }
+    if (this.isKeyword('OR') || this.isKeyword('MATERIALIZED') || this.isKeyword('VIEW')) {
+      return this.parseCreateView();
+    }
+    if (this.acceptKeyword('SEQUENCE')) {
+      return this.parseCreateSequence();
+    }
+    this.expectKeyword('TABLE');
+
+    const table = this.parseIdentifier('table name');
+    const columns = [];
+    const foreignKeys = [];
+    const checks = [];
+
+    this.expectPunctuation('(');
+    do {
+      if (this.isKeyword('FOREIGN') || this.isKeyword('CHECK') || this.isKeyword('CONSTRAINT')) {
+        const constraint = this.parseTableConstraint();
+        if (constraint.type === 'Check') checks.push(constraint);
+        else foreignKeys.push(constraint);
+      } else {
+        columns.push(this.parseColumnDefinition());
+      }
+    } while (this.acceptPunctuation(','));
+    this.expectPunctuation(')');
+
+    // ENGINE [=] name picks the storage engine
+    let engine = null;
+    if (this.acceptKeyword('ENGINE')) {
+      this.acceptOperator('=');
+      engine = this.parseIdentifier('storage engine').toLowerCase();
+    }
+
+    return { type: 'CreateTable', table, columns, foreignKeys, checks, engine };
+  }
+
+  // CREATE [OR REPLACE] [MATERIALIZED] VIEW name [(col, ...)] AS SELECT ...
+  // The SELECT is kept as written, to be stored with the view
+  parseCreateView() {
+    let replace = false;
+    if (this.acceptKeyword('OR')) {
+      this.expectKeyword('REPLACE');
+      replace = true;
+    }
+    const materialized = this.acceptKeyword('MATERIALIZED');
+    this.expectKeyword('VIEW');
+
+    const name = this.parseIdentifier('view name');
+    const columns = this.isPunctuation('(') ? this.parseIdentifierList('column name') : null;
+    this.expectKeyword('AS');
+
+    const first = this.pos;
+    if (!this.isQueryStart()) {
+      throw this.error(`Expected SELECT but found ${this.describe(this.peek())}`);
+    }
+    const query = this.parseSelect();
+    const tokens = this.tokens.slice(first, this.pos);
+    const parameter = tokens.find(token => token.type === 'parameter');
+    if (parameter) {
+      throw this.error('Views cannot use parameters', parameter);
+    }
+    const sql = this.sql.slice(tokens[0].start, tokens[tokens.length - 1].end);
+
+    return { type: 'CreateView', name, columns, materialized, replace, query, sql };
+  }
+
+  // CREATE SEQUENCE name [START [WITH] n] [INCREMENT [BY] n], options in any order
+  parseCreateSequence() {
+    const name = this.parseIdentifier('sequence name');
+    const options = {};
+    for (;;) {
+      const keyword = this.isKeyword('START') ? 'START' : this.isKeyword('INCREMENT') ? 'INCREMENT' : null;
+      if (!keyword) break;
+      this.next();
+      this.acceptKeyword(keyword === 'START' ? 'WITH' : 'BY');
+      
+      const option = keyword.toLowerCase();
+      if (option in options) {
+        throw this.error(`${keyword} is given more than once`);
+      }
+      const sign = this.acceptOperator('-') ? -1 : 1;
+      options[option] = sign * this.parseInteger(`${keyword} value`);
+    }
+
+    return { type: 'CreateSequence', name, ...options };
+  }
+
+  // CREATE [UNIQUE] INDEX name ON table [USING type] (col, ...) [USING type]
+  parseCreateIndex() {
+    const unique = this.acceptKeyword('UNIQUE');
+    this.expectKeyword('INDEX');
+
+    const name = this.parseIdentifier('index name');
+    this.expectKeyword('ON');
+    const table = this.parseIdentifier('table name');
+
+    let using = this.parseIndexMethod();
+    const columns = this.parseIdentifierList('column name');
+    using = this.parseIndexMethod() || using;
+
+    return { type: 'CreateIndex', name, table, columns, unique, using };
+  }
+
+  parseIndexMethod() {
+    if (!this.acceptKeyword('USING')) return null;
+    return this.parseIdentifier('index type').toLowerCase();
+  }
+
+  // [CONSTRAINT name] CHECK (expr) or
+  // [CONSTRAINT name] FOREIGN KEY (column) REFERENCES table [(column)] ...
+  parseTableConstraint() {
+    const name = this.acceptKeyword('CONSTRAINT') ? this.parseIdentifier('constraint name') : null;
+
+    if (this.acceptKeyword('CHECK')) {
+      return { type: 'Check', name, expr: this.parseCheck() };
+    }
+
+    this.expectKeyword('FOREIGN');
+    this.expectKeyword('KEY');
+    this.expectPunctuation('(');
+    const column = this.parseIdentifier('column name');
+    this.expectPunctuation(')');
+    this.expectKeyword('REFERENCES');
+    return { type: 'ForeignKey', column, references: this.parseReferences() };
+  }
+
+  parseCheck() {
+    this.expectPunctuation('(');
+    const expr = this.parseExpression();
+    this.expectPunctuation(')');
+    return expr;
+  }
+
+  parseColumnDefinition() {
+    const column = { name: this.parseIdentifier('column name'), ...this.parseDataType(), checks: [] };
+    let constraintName = null;
+
+    // Constraints run until the next column, or the end of an ALTER TABLE action
+    while (!this.isPunctuation(',') && !this.isPunctuation(')') && !this.isPunctuation(';') && this.peek().type !== 'eof') {
+      const token = this.peek();
+      if (token.type !== 'identifier') {
+        throw this.error(`Expected column constraint but found ${this.describe(token)}`);
+      }
+
+      switch (token.value.toUpperCase()) {
+        case 'PRIMARY':
+          this.next();
+          this.expectKeyword('KEY');
+          column.primaryKey = true;
+          break;
+        case 'UNIQUE':
+          this.next();
+          column.unique = true;
+          break;
+        case 'AUTO_INCREMENT':
+        case 'AUTOINCREMENT':
+          this.next();
+          column.autoIncrement = true;
+          break;
+        case 'NOT':
+          this.next();
+          this.expectKeyword('NULL');
+          column.notNull = true;
+          break;
+        case 'NULL':
+          this.next();
+          break;
+        case 'DEFAULT':
+          this.next();
+          column.defaultValue = this.parseUnary();
+          break;
+        case 'REFERENCES':
+          this.next();
+          column.references = this.parseReferences();
+          break;
+        case 'CONSTRAINT':
+          // Names the constraint that follows; only CHECK constraints keep a name
+          this.next();
+          constraintName = this.parseIdentifier('constraint name');
+          continue;
+        case 'CHECK':
+          this.next();
+          column.checks.push({ name: constraintName, expr: this.parseCheck() });
+          break;
+        default:
+          throw this.error(`Unknown column constraint '${token.value}'`);
+      }
+      constraintName = null;
+    }
+
+    return column;
+  }
+
+  parseDataType() {
+    let dataType = this.parseIdentifier('data type');
+
+    // Two-word type names
+    if (dataType.toUpperCase() === 'DOUBLE' && this.acceptKeyword('PRECISION')) dataType = 'DOUBLE PRECISION';
+    if (dataType.toUpperCase() === 'CHARACTER' && this.acceptKeyword('VARYING')) dataType = 'CHARACTER VARYING';
+
+    // Type arguments such as VARCHAR(255) or DECIMAL(10, 2)
+    const typeArgs = [];
+    if (this.acceptPunctuation('(')) {
+      do {
+        typeArgs.push(this.parseInteger('type argument'));
+      } while (this.acceptPunctuation(','));
+      this.expectPunctuation(')');
+    }
+
+    return { dataType, typeArgs };
+  }
+
+  // table [(column)] [ON DELETE action] [ON UPDATE action], after REFERENCES
+  parseReferences() {
+    const references = { table: this.parseIdentifier('table name'), column: null, onDelete: null, onUpdate: null };
+    if (this.acceptPunctuation('(')) {
+      references.column = this.parseIdentifier('column name');
+      this.expectPunctuation(')');
+    }
+
+    while (this.acceptKeyword('ON')) {
+      if (this.acceptKeyword('DELETE')) {
+        references.onDelete = this.parseReferentialAction();
+      } else {
+        this.expectKeyword('UPDATE');
+        references.onUpdate = this.parseReferentialAction();
+      }
+    }
+    return references;
+  }
+
+  parseReferentialAction() {
+    if (this.acceptKeyword('CASCADE')) return 'CASCADE';
+    if (this.acceptKeyword('RESTRICT')) return 'RESTRICT';
+    if (this.acceptKeyword('SET')) {
+      this.expectKeyword('NULL');
+      return 'SET NULL';
+    }
+    if (this.acceptKeyword('NO')) {
+      this.expectKeyword('ACTION');
+      return 'RESTRICT';
+    }
+    throw this.error(`Expected CASCADE, SET NULL, RESTRICT or NO ACTION but found ${this.describe(this.peek())}`);
+  }
+
+  parseInsert() {
+    this.expectKeyword('INSERT');
+    this.expectKeyword('INTO');
+
+    const table = this.parseIdentifier('table name');
+    let columns = null;
+
+    if (this.isPunctuation('(')) {
+      columns = this.parseIdentifierList('column name');
+    }
+
+    // VALUES (...) [, (...) ...] or a query whose rows are inserted
+    let values = null;
+    let query = null;
+    if (this.isQueryStart()) {
+      query = this.parseUnion();
+    } else {
+      this.expectKeyword('VALUES');
+      values = [];
+      do {
+        const row = this.parseExpressionList();
+        if (columns && columns.length !== row.length) {
+          throw this.error(`INSERT has ${columns.length} column(s) but ${row.length} value(s)`);
+        }
+        values.push(row);
+      } while (this.acceptPunctuation(','));
+    }
+
+    const onConflict = this.parseOnConflict();
+    return { type: 'Insert', table, columns, values, query, onConflict, returning: this.parseReturning() };
+  }
+
+  // [ON CONFLICT [(cols)] DO NOTHING | DO UPDATE SET col = expr, ...]. Without
+  // columns, DO NOTHING skips rows that conflict on any unique constraint.
+  parseOnConflict() {
+    if (!this.isKeyword('ON')) return null;
+    this.next();
+    this.expectKeyword('CONFLICT');
+
+    const columns = this.isPunctuation('(') ? this.parseIdentifierList('column name') : null;
+    this.expectKeyword('DO');
+    if (this.acceptKeyword('NOTHING')) {
+      return { columns, assignments: null };
+    }
+
+    if (!this.isKeyword('UPDATE')) {
+      throw this.error(`Expected NOTHING or UPDATE but found ${this.describe(this.peek())}`);
+    }
+    if (!columns) {
+      throw this.error('ON CONFLICT DO UPDATE needs the conflict columns, as in ON CONFLICT (id)');
+    }
+    this.next();
+    this.expectKeyword('SET');
+    return { columns, assignments: this.parseAssignments() };
+  }
+
+  // [RETURNING * | expr [AS alias], ...] after INSERT, UPDATE or DELETE
+  parseReturning() {
+    if (!this.acceptKeyword('RETURNING')) return null;
+
+    const columns = [];
+    do {
+      columns.push(this.parseSelectColumn());
+    } while (this.acceptPunctuation(','));
+    return columns;
+  }
+
+  parseExpressionList() {
+    const expressions = [];
+    this.expectPunctuation('(');
+    do {
+      expressions.push(this.parseExpression());
+    } while (this.acceptPunctuation(','));
+    this.expectPunctuation(')');
+    return expressions;
+  }
+
+  // A SELECT, optionally preceded by WITH [RECURSIVE] name [(cols)] AS (query), ...
+  parseSelect() {
+    const ctes = [];
+    let recursive = false;
+    if (this.acceptKeyword('WITH')) {
+      recursive = this.acceptKeyword('RECURSIVE');
+      do {
+        const name = this.parseIdentifier('query name');
+        const columns = this.isPunctuation('(') ? this.parseIdentifierList('column name') : null;
+        this.expectKeyword('AS');
+        this.expectPunctuation('(');
+        const query = this.parseUnion();
+        this.expectPunctuation(')');
+        ctes.push({ name, columns, query });
+      } while (this.acceptPunctuation(','));
+    }
+
+    this.expectKeyword('SELECT');
+    const distinct = this.acceptKeyword('DISTINCT');
+
+    const columns = [];
+    do {
+      columns.push(this.parseSelectColumn());
+    } while (this.acceptPunctuation(','));
+
+    // Without FROM the select list is computed once, as in SELECT NOW()
+    const from = this.acceptKeyword('FROM') ? this.parseTableReference() : null;
+    const joins = from ? this.parseJoins() : [];
+
+    const statement = {
+      type: 'Select', distinct, columns, from, joins, where: null, groupBy: [], having: null, orderBy: [], limit: null, offset: null
+    };
+    if (ctes.length > 0) {
+      statement.with = ctes;
+      statement.recursive = recursive;
+    }
+
+    if (this.acceptKeyword('WHERE')) {
+      statement.where = this.parseExpression();
+    }
+
+    if (this.acceptKeyword('GROUP')) {
+      this.expectKeyword('BY');
+      do {
+        statement.groupBy.push(this.parseExpression());
+      } while (this.acceptPunctuation(','));
+    }
+
+    if (this.acceptKeyword('HAVING')) {
+      statement.having = this.parseExpression();
+    }
+
+    if (this.acceptKeyword('ORDER')) {
+      this.expectKeyword('BY');
+      statement.orderBy = this.parseOrderBy();
+    }
+
+    if (this.acceptKeyword('LIMIT')) {
+      statement.limit = this.parseRowCount();
+    }
+    if (this.acceptKeyword('OFFSET')) {
+      statement.offset = this.parseRowCount();
+    }
+
+    return statement;
+  }
+
+  // expr [ASC | DESC] [NULLS FIRST | LAST] [, ...] after ORDER BY
+  parseOrderBy() {
+    const orderBy = [];
+    do {
+      const expr = this.parseExpression();
+      let direction = 'ASC';
+      if (this.acceptKeyword('DESC')) direction = 'DESC';
+      else this.acceptKeyword('ASC');
+
+      let nulls = null;
+      if (this.acceptKeyword('NULLS')) {
+        if (!this.isKeyword('FIRST') && !this.isKeyword('LAST')) {
+          throw this.error(`Expected FIRST or LAST but found ${this.describe(this.peek())}`);
+        }
+        nulls = this.next().value.toUpperCase();
+      }
+      orderBy.push({ expr, direction, nulls });
+    } while (this.acceptPunctuation(','));
+    return orderBy;
+  }
+
+  parseRowCount() {
+    return this.peek().type === 'parameter' ? this.parseParameter() : this.parseInteger('row count');
+  }
+
+  // SELECTs combined with UNION [ALL], as allowed in the body of a WITH query
+  parseUnion() {
+    let query = this.parseSelect();
+    while (this.acceptKeyword('UNION')) {
+      const all = this.acceptKeyword('ALL');
+      query = { type: 'Union', all, left: query, right: this.parseSelect() };
+    }
+    return query;
+  }
+
+  // A table name or a derived table: (SELECT ...) [AS] alias [(cols)]
+  parseTableReference() {
+    if (this.isPunctuation('(')) {
+      const { query } = this.parseSubquery();
+      if (!this.acceptKeyword('AS') && !this.isAlias()) {
+        throw this.error(`A subquery in FROM needs an alias but found ${this.describe(this.peek())}`);
+      }
+      const alias = this.parseIdentifier('table alias');
+      const columns = this.isPunctuation('(') ? this.parseIdentifierList('column name') : null;
+      return { table: null, alias, subquery: query, columns };
+    }
+
+    const table = this.parseIdentifier('table name');
+    let alias = null;
+
+    if (this.acceptKeyword('AS') || this.isAlias()) {
+      alias = this.parseIdentifier('table alias');
+    }
+
+    return { table, alias };
+  }
+
+  isQueryStart(offset = 0) {
+    return this.isKeyword('SELECT', offset) || this.isKeyword('WITH', offset);
+  }
+
+  // A parenthesized SELECT, returned with its text for display
+  parseSubquery() {
+    this.expectPunctuation('(');
+    const first = this.peek();
+    if (!this.isQueryStart()) {
+      throw this.error(`Expected SELECT but found ${this.describe(first)}`);
+    }
+    const query = this.parseSelect();
+    const last = this.tokens[this.pos - 1];
+    this.expectPunctuation(')');
+    return { query, sql: this.sql.slice(first.start, last.end) };
+  }
+
+  // An identifier that is not a keyword can follow an expression as an implicit alias
+  isAlias() {
+    const token = this.peek();
+    return token.type === 'identifier' && (token.quoted || !RESERVED.has(token.value.toUpperCase()));
+  }
+
+  parseJoins() {
+    const joins = [];
+
+    while (true) {
+      let kind;
+
+      if (this.acceptPunctuation(',')) {
+        joins.push({ kind: 'CROSS', source: this.parseTableReference(), on: null });
+        continue;
+      }
+
+      if (this.acceptKeyword('CROSS')) {
+        kind = 'CROSS';
+      } else if (this.acceptKeyword('INNER')) {
+        kind = 'INNER';
+      } else if (this.isKeyword('LEFT') || this.isKeyword('RIGHT') || this.isKeyword('FULL')) {
+        kind = this.next().value.toUpperCase();
+        this.acceptKeyword('OUTER');
+      } else if (this.isKeyword('JOIN')) {
+        kind = 'INNER';
+      } else {
+        break;
+      }
+
+      this.expectKeyword('JOIN');
+      const source = this.parseTableReference();
+
+      let on = null;
+      if (kind !== 'CROSS') {
+        this.expectKeyword('ON');
+        on = this.parseExpression();
+      }
+
+      joins.push({ kind, source, on });
+    }
+
+    return joins;
+  }
+
+  parseSelectColumn() {
+    if (this.acceptOperator('*')) {
+      return { expr: { type: 'Star', table: null }, alias: null };
+    }
+
+    const expr = this.parseExpression();
+    let alias = null;
+    if (this.acceptKeyword('AS') || this.isAlias()) {
+      alias = this.parseIdentifier('column alias');
+    }
+    return { expr, alias };
+  }
+
+  parseUpdate() {
+    this.expectKeyword('UPDATE');
+    const table = this.parseIdentifier('table name');
+    this.expectKeyword('SET');
+    const assignments = this.parseAssignments();
+
+    let where = null;
+    if (this.acceptKeyword('WHERE')) {
+      where = this.parseExpression();
+    }
+
+    return { type: 'Update', table, assignments, where, returning: this.parseReturning() };
+  }
+
+  // column = expr [, ...] after SET
+  parseAssignments() {
+    const assignments = [];
+    do {
+      const column = this.parseIdentifier('column name');
+      this.expectOperator('=');
+      assignments.push({ column, value: this.parseExpression() });
+    } while (this.acceptPunctuation(','));
+    return assignments;
+  }
+
+  parseDelete() {
+    this.expectKeyword('DELETE');
+    this.expectKeyword('FROM');
+    const table = this.parseIdentifier('table name');
+
+    let where = null;
+    if (this.acceptKeyword('WHERE')) {
+      where = this.parseExpression();
+    }
+
+    return { type: 'Delete', table, where, returning: this.parseReturning() };
+  }
+
+  // ALTER TABLE name action [, action ...]
+  parseAlter() {
+    this.expectKeyword('ALTER');
+    this.expectKeyword('TABLE');
+
+    const table = this.parseIdentifier('table name');
+    const actions = [];
+    do {
+      actions.push(this.parseAlterAction());
+    } while (this.acceptPunctuation(','));
+
+    return { type: 'AlterTable', table, actions };
+  }
+
+  parseAlterAction() {
+    if (this.acceptKeyword('ADD')) {
+      if (this.isKeyword('CHECK') || this.isKeyword('CONSTRAINT')) {
+        const constraint = this.parseTableConstraint();
+        if (constraint.type !== 'Check') {
+          throw this.error('ALTER TABLE can only add CHECK constraints');
+        }
+        return { action: 'AddCheck', name: constraint.name, expr: constraint.expr };
+      }
+      this.acceptKeyword('COLUMN');
+      return { action: 'AddColumn', column: this.parseColumnDefinition() };
+    }
+
+    if (this.acceptKeyword('DROP')) {
+      if (this.acceptKeyword('CONSTRAINT')) {
+        return { action: 'DropConstraint', name: this.parseIdentifier('constraint name') };
+      }
+      this.acceptKeyword('COLUMN');
+      return { action: 'DropColumn', column: this.parseIdentifier('column name') };
+    }
+
+    if (this.acceptKeyword('RENAME')) {
+      if (this.acceptKeyword('TO')) {
+        return { action: 'RenameTable', name: this.parseIdentifier('table name') };
+      }
+      this.acceptKeyword('COLUMN');
+      const column = this.parseIdentifier('column name');
+      this.expectKeyword('TO');
+      return { action: 'RenameColumn', column, to: this.parseIdentifier('column name') };
+    }
+
+    if (this.acceptKeyword('ALTER')) {
+      this.acceptKeyword('COLUMN');
+      const column = this.parseIdentifier('column name');
+      if (this.acceptKeyword('SET')) this.expectKeyword('DATA');
+      this.expectKeyword('TYPE');
+      return { action: 'AlterColumnType', column, ...this.parseDataType() };
+    }
+
+    // AUTO_INCREMENT [=] n sets the next value handed out
+    if (this.acceptKeyword('AUTO_INCREMENT')) {
+      this.acceptOperator('=');
+      return { action: 'SetAutoIncrement', value: this.parseInteger('AUTO_INCREMENT value') };
+    }
+
+    throw this.error(`Expected ADD, DROP, RENAME, ALTER or AUTO_INCREMENT but found ${this.describe(this.peek())}`);
+  }
+
+  parseDrop() {
+    this.expectKeyword('DROP');
+
+    if (this.acceptKeyword('INDEX')) {
+      const name = this.parseIdentifier('index name');
+      const table = this.acceptKeyword('ON') ? this.parseIdentifier('table name') : null;
+      return { type: 'DropIndex', name, table };
+    }
+
+    if (this.isKeyword('VIEW') || this.isKeyword('MATERIALIZED')) {
+      const materialized = this.acceptKeyword('MATERIALIZED');
+      this.expectKeyword('VIEW');
+      return { type: 'DropView', name: this.parseIdentifier('view name'), materialized };
+    }
+
+    if (this.acceptKeyword('SEQUENCE')) {
+      return { type: 'DropSequence', name: this.parseIdentifier('sequence name') };
+    }
+
+    this.expectKeyword('TABLE');
+    return { type: 'DropTable', table: this.parseIdentifier('table name') };
+  }
+
+  // REFRESH MATERIALIZED VIEW name
+  parseRefresh() {
+    this.expectKeyword('REFRESH');
+    this.expectKeyword('MATERIALIZED');
+    this.expectKeyword('VIEW');
+    return { type: 'RefreshView', name: this.parseIdentifier('view name') };
+  }
+
+  // SHOW INDEXES FROM table (INDEX and KEYS, and IN, are accepted too)
+  parseShow() {
+    this.expectKeyword('SHOW');
+    if (!this.acceptKeyword('INDEXES') && !this.acceptKeyword('INDEX')) {
+      this.expectKeyword('KEYS');
+    }
+    if (!this.acceptKeyword('FROM')) this.expectKeyword('IN');
+    return { type: 'ShowIndexes', table: this.parseIdentifier('table name') };
+  }
+
+  // Expressions
+
+  parseExpression() {
+    return this.parseOr();
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.acceptKeyword('OR')) {
+      left = { type: 'Binary', operator: 'OR', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.acceptKeyword('AND')) {
+      left = { type: 'Binary', operator: 'AND', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.acceptKeyword('NOT')) {
+      return { type: 'Unary', operator: 'NOT', operand: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseAdditive();
+    const token = this.peek();
+
+    if (token.type === 'operator' && COMPARISON_OPERATORS.includes(token.value)) {
+      this.next();
+      const operator = token.value === '<>' ? '!=' : token.value;
+      return { type: 'Binary', operator, left, right: this.parseAdditive() };
+    }
+
+    if (this.acceptKeyword('IS')) {
+      const negated = this.acceptKeyword('NOT');
+      this.expectKeyword('NULL');
+      return { type: 'IsNull', expr: left, negated };
+    }
+
+    // NOT may prefix LIKE, IN and BETWEEN
+    const negated = this.isKeyword('NOT') &&
+      (this.isKeyword('LIKE', 1) || this.isKeyword('IN', 1) || this.isKeyword('BETWEEN', 1));
+    if (negated) this.next();
+
+    if (this.acceptKeyword('LIKE')) {
+      return { type: 'Like', expr: left, pattern: this.parseAdditive(), negated };
+    }
+
+    if (this.acceptKeyword('IN')) {
+      if (this.isPunctuation('(') && this.isQueryStart(1)) {
+        return { type: 'InSubquery', expr: left, ...this.parseSubquery(), negated };
+      }
+      return { type: 'In', expr: left, list: this.parseExpressionList(), negated };
+    }
+
+    if (this.acceptKeyword('BETWEEN')) {
+      const low = this.parseAdditive();
+      this.expectKeyword('AND');
+      const high = this.parseAdditive();
+      return { type: 'Between', expr: left, low, high, negated };
+    }
+
+    return left;
+  }
+
+  // +, - and || (concatenation), then *, / and %, all left-associative
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    while (this.isOperator('+') || this.isOperator('-') || this.isOperator('||')) {
+      const operator = this.next().value;
+      left = { type: 'Binary', operator, left, right: this.parseMultiplicative() };
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    while (this.isOperator('*') || this.isOperator('/') || this.isOperator('%')) {
+      const operator = this.next().value;
+      left = { type: 'Binary', operator, left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isOperator('-') || this.isOperator('+')) {
+      const operator = this.next().value;
+      const operand = this.parseUnary();
+
+      // Fold signed numeric literals so -5 stays a plain literal
+      if (operand.type === 'Literal' && typeof operand.value === 'number') {
+        return { type: 'Literal', value: operator === '-' ? -operand.value : operand.value };
+      }
+      return { type: 'Unary', operator, operand };
+    }
+
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    if (token.type === 'number' || token.type === 'string') {
+      this.next();
+      return { type: 'Literal', value: token.value };
+    }
+
+    if (token.type === 'parameter') {
+      return this.parseParameter();
+    }
+
+    if (this.isPunctuation('(') && this.isQueryStart(1)) {
+      return { type: 'Subquery', ...this.parseSubquery() };
+    }
+
+    if (this.acceptPunctuation('(')) {
+      const expr = this.parseExpression();
+      this.expectPunctuation(')');
+      return expr;
+    }
+
+    if (token.type === 'identifier' && !token.quoted) {
+      const keyword = token.value.toUpperCase();
+      if (keyword === 'NULL') {
+        this.next();
+        return { type: 'Literal', value: null };
+      }
+      if (keyword === 'TRUE' || keyword === 'FALSE') {
+        this.next();
+        return { type: 'Literal', value: keyword === 'TRUE' };
+      }
+      if (keyword === 'CASE') {
+        return this.parseCase();
+      }
+      if (keyword === 'EXISTS' && this.isPunctuation('(', 1)) {
+        this.next();
+        return { type: 'Exists', ...this.parseSubquery() };
+      }
+      if (keyword === 'CAST' && this.isPunctuation('(', 1)) {
+        return this.parseCast();
+      }
+      if (keyword === 'EXTRACT' && this.isPunctuation('(', 1) && this.isKeyword('FROM', 3)) {
+        return this.parseExtract();
+      }
+      if (keyword === 'INTERVAL' && this.isIntervalStart(1)) {
+        this.next();
+        const value = this.parseUnary();
+        return { type: 'Interval', value, unit: this.parseIdentifier('interval unit').toUpperCase() };
+      }
+    }
+
+    if (token.type === 'identifier' && this.isPunctuation('(', 1)) {
+      return this.parseFunctionCall();
+    }
+
+    if (token.type === 'identifier') {
+      const name = this.parseIdentifier('column name');
+      if (this.acceptPunctuation('.')) {
+        if (this.acceptOperator('*')) {
+          return { type: 'Star', table: name };
+        }
+        return { type: 'Column', table: name, name: this.parseIdentifier('column name') };
+      }
+      return { type: 'Column', table: null, name };
+    }
+
+    throw this.error(`Expected an expression but found ${this.describe(token)}`);
+  }
+
+  // CASE [operand] WHEN ... THEN ... [...] [ELSE ...] END
+  parseCase() {
+    this.expectKeyword('CASE');
+    const operand = this.isKeyword('WHEN') ? null : this.parseExpression();
+
+    const branches = [];
+    do {
+      this.expectKeyword('WHEN');
+      const when = this.parseExpression();
+      this.expectKeyword('THEN');
+      branches.push({ when, then: this.parseExpression() });
+    } while (this.isKeyword('WHEN'));
+
+    const otherwise = this.acceptKeyword('ELSE') ? this.parseExpression() : null;
+    this.expectKeyword('END');
+    return { type: 'Case', operand, branches, else: otherwise };
+  }
+
+  // CAST(expr AS type)
+  parseCast() {
+    this.expectKeyword('CAST');
+    this.expectPunctuation('(');
+    const expr = this.parseExpression();
+    this.expectKeyword('AS');
+    const node = { type: 'Cast', expr, ...this.parseDataType() };
+    this.expectPunctuation(')');
+    return node;
+  }
+
+  // EXTRACT(field FROM expr) is the call EXTRACT('field', expr)
+  parseExtract() {
+    this.expectKeyword('EXTRACT');
+    this.expectPunctuation('(');
+    const field = this.parseIdentifier('field name').toUpperCase();
+    this.expectKeyword('FROM');
+    const node = { type: 'Function', name: 'EXTRACT', args: [{ type: 'Literal', value: field }, this.parseExpression()], distinct: false, star: false, over: null };
+    this.expectPunctuation(')');
+    return node;
+  }
+
+  // INTERVAL is only a keyword when an amount follows, as in INTERVAL 3 DAY
+  isIntervalStart(offset) {
+    const token = this.peek(offset);
+    return ['number', 'string', 'parameter'].includes(token.type) || this.isOperator('-', offset) || this.isPunctuation('(', offset);
+  }
+
+  parseFunctionCall() {
+    const name = this.next().value.toUpperCase();
+    const node = { type: 'Function', name, args: [], distinct: false, star: false, over: null };
+
+    this.expectPunctuation('(');
+    if (this.acceptOperator('*')) {
+      node.star = true;
+    } else if (!this.isPunctuation(')')) {
+      node.distinct = this.acceptKeyword('DISTINCT');
+      do {
+        node.args.push(this.parseExpression());
+      } while (this.acceptPunctuation(','));
+    }
+    this.expectPunctuation(')');
+
+    if (this.isKeyword('OVER') && this.isPunctuation('(', 1)) {
+      node.over = this.parseWindow();
+    }
+    return node;
+  }
+
+  // OVER ([PARTITION BY expr, ...] [ORDER BY ...] [ROWS | RANGE frame])
+  parseWindow() {
+    this.expectKeyword('OVER');
+    this.expectPunctuation('(');
+    const window = { partitionBy: [], orderBy: [], frame: null };
+
+    if (this.acceptKeyword('PARTITION')) {
+      this.expectKeyword('BY');
+      do {
+        window.partitionBy.push(this.parseExpression());
+      } while (this.acceptPunctuation(','));
+    }
+    if (this.acceptKeyword('ORDER')) {
+      this.expectKeyword('BY');
+      window.orderBy = this.parseOrderBy();
+    }
+    if (this.isKeyword('ROWS') || this.isKeyword('RANGE')) {
+      window.frame = this.parseFrame();
+    }
+
+    this.expectPunctuation(')');
+    return window;
+  }
+
+  // ROWS | RANGE BETWEEN start AND end, or just a start that ends at the current row
+  parseFrame() {
+    const unit = this.next().value.toUpperCase();
+    const between = this.acceptKeyword('BETWEEN');
+    const start = this.parseFrameBound();
+    let end = { offset: 0, direction: 'CURRENT ROW' };
+    if (between) {
+      this.expectKeyword('AND');
+      end = this.parseFrameBound();
+    }
+
+    if (start.offset === null && start.direction === 'FOLLOWING') {
+      throw this.error('A window frame cannot start at UNBOUNDED FOLLOWING');
+    }
+    if (end.offset === null && end.direction === 'PRECEDING') {
+      throw this.error('A window frame cannot end at UNBOUNDED PRECEDING');
+    }
+    if (unit === 'RANGE' && [start, end].some(bound => bound.offset !== null && bound.offset !== 0)) {
+      throw this.error('RANGE frames only support UNBOUNDED and CURRENT ROW bounds');
+    }
+    return { unit, start, end };
+  }
+
+  // UNBOUNDED PRECEDING | n PRECEDING | CURRENT ROW | n FOLLOWING | UNBOUNDED FOLLOWING,
+  // with a null offset when unbounded
+  parseFrameBound() {
+    if (this.acceptKeyword('CURRENT')) {
+      this.expectKeyword('ROW');
+      return { offset: 0, direction: 'CURRENT ROW' };
+    }
+
+    const offset = this.acceptKeyword('UNBOUNDED') ? null : this.parseInteger('frame offset');
+    if (!this.isKeyword('PRECEDING') && !this.isKeyword('FOLLOWING')) {
+      throw this.error(`Expected PRECEDING or FOLLOWING but found ${this.describe(this.peek())}`);
+    }
+    return { offset, direction: this.next().value.toUpperCase() };
+  }
+
+  // Parses a standalone expression, such as a stored CHECK constraint
+  static parseExpression(sql) {
+    const parser = new Parser(sql);
+    const expr = parser.parseExpression();
+    if (parser.peek().type !== 'eof') {
+      throw parser.error(`Unexpected ${parser.describe(parser.peek())} after expression`);
+    }
+    return expr;
+  }
+
+  // Renders an expression back to SQL that parses to the same tree, used to
+  // name unaliased result columns and to store CHECK constraints
+  static format(node) {
+    const operand = (child, precedence) => {
+      const text = Parser.format(child);
+      return Parser.precedence(child) < precedence ? `(${text})` : text;
+    };
+    const own = Parser.precedence(node);
+
+    switch (node.type) {
+      case 'Literal':
+        if (node.value === null) return 'NULL';
+        if (typeof node.value === 'string') return `'${node.value.replace(/\\/g, '\\\\').replace(/'/g, "''")}'`;
+        if (typeof node.value === 'boolean') return node.value ? 'TRUE' : 'FALSE';
+        return String(node.value);
+      case 'Parameter':
+        return node.name !== undefined ? `:${node.name}` : `$${node.index}`;
+      case 'Column':
+        return node.table ? `${Parser.formatIdentifier(node.table)}.${Parser.formatIdentifier(node.name)}` : Parser.formatIdentifier(node.name);
+      case 'Star':
+        return node.table ? `${Parser.formatIdentifier(node.table)}.*` : '*';
+      case 'Unary':
+        return node.operator === 'NOT' ? `NOT ${operand(node.operand, own)}` : `${node.operator}${operand(node.operand, own + 1)}`;
+      case 'Binary':
+        // Other operators associate to the left; comparisons do not chain
+        return `${operand(node.left, own === 4 ? own + 1 : own)} ${node.operator} ${operand(node.right, own + 1)}`;
+      case 'IsNull':
+        return `${operand(node.expr, own + 1)} IS ${node.negated ? 'NOT ' : ''}NULL`;
+      case 'Like':
+        return `${operand(node.expr, own + 1)} ${node.negated ? 'NOT ' : ''}LIKE ${operand(node.pattern, own + 1)}`;
+      case 'In':
+        return `${operand(node.expr, own + 1)} ${node.negated ? 'NOT ' : ''}IN (${node.list.map(Parser.format).join(', ')})`;
+      case 'InSubquery':
+        return `${operand(node.expr, own + 1)} ${node.negated ? 'NOT ' : ''}IN (${node.sql})`;
+      case 'Subquery':
+        return `(${node.sql})`;
+      case 'Exists':
+        return `EXISTS (${node.sql})`;
+      case 'Between':
+        return `${operand(node.expr, own + 1)} ${node.negated ? 'NOT ' : ''}BETWEEN ${operand(node.low, own + 1)} AND ${operand(node.high, own + 1)}`;
+      case 'Case': {
+        const branches = node.branches.map(branch => `WHEN ${Parser.format(branch.when)} THEN ${Parser.format(branch.then)}`);
+        const otherwise = node.else ? ` ELSE ${Parser.format(node.else)}` : '';
+        return `CASE ${node.operand ? `${Parser.format(node.operand)} ` : ''}${branches.join(' ')}${otherwise} END`;
+      }
+      case 'Function': {
+        const args = node.star ? '*' : `${node.distinct ? 'DISTINCT ' : ''}${node.args.map(Parser.format).join(', ')}`;
+        return `${node.name}(${args})${node.over ? ` OVER (${Parser.formatWindow(node.over)})` : ''}`;
+      }
+      case 'Cast': {
+        const typeArgs = node.typeArgs.length > 0 ? `(${node.typeArgs.join(', ')})` : '';
+        return `CAST(${Parser.format(node.expr)} AS ${node.dataType.toUpperCase()}${typeArgs})`;
+      }
+      case 'Interval':
+        return `INTERVAL ${operand(node.value, 7)} ${node.unit}`;
+      default:
+        return node.type;
+    }
+  }
+
+  static formatWindow({ partitionBy, orderBy, frame }) {
+    const parts = [];
+    if (partitionBy.length > 0) parts.push(`PARTITION BY ${partitionBy.map(Parser.format).join(', ')}`);
+    if (orderBy.length > 0) parts.push(`ORDER BY ${orderBy.map(Parser.formatOrder).join(', ')}`);
+    if (frame) {
+      const bound = ({ offset, direction }) => direction === 'CURRENT ROW' ? direction : `${offset === null ? 'UNBOUNDED' : offset} ${direction}`;
+      parts.push(`${frame.unit} BETWEEN ${bound(frame.start)} AND ${bound(frame.end)}`);
+    }
+    return parts.join(' ');
+  }
+
+  static formatOrder({ expr, direction, nulls }) {
+    return `${Parser.format(expr)} ${direction}${nulls ? ` NULLS ${nulls}` : ''}`;
+  }
+
+  // How tightly an expression binds, matching the parse* chain: OR, AND, NOT,
+  // comparisons, + - ||, * / %, signs, then operands
+  static precedence(node) {
+    switch (node.type) {
+      case 'Binary':
+        if (node.operator === 'OR') return 1;
+        if (node.operator === 'AND') return 2;
+        if (['+', '-', '||'].includes(node.operator)) return 5;
+        if (['*', '/', '%'].includes(node.operator)) return 6;
+        return 4;
+      case 'Unary':
+        return node.operator === 'NOT' ? 3 : 7;
+      case 'IsNull':
+      case 'Like':
+      case 'In':
+      case 'InSubquery':
+      case 'Between':
+        return 4;
+      default:
+        return 9;
+    }
+  }
+
+  static formatIdentifier(name) {
+    if (/^[A-Za-z_][A-Za-z0-9_]*$/.test(name) && !RESERVED.has(name.toUpperCase())) return name;
+    return `"${name.replace(/"/g, '""')}"`;
+  }
+}
+
+module.exports = Parser;
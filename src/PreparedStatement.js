@@ -0,0 +1,35 @@
+const SQLParser = require('./SQLParser.js');
+
+// A statement parsed once by Database#prepare and executed any number of
+// times with different parameters. Unlike Database#query, failures throw.
+class PreparedStatement {
+  constructor(database, sql) {
+    this.database = database;
+    this.sql = sql;
+    this.executor = new SQLParser();
+    this.statements = this.executor.parse(sql);
+    if (this.statements.length === 0) {
+      throw new Error('Empty query');
+    }
+  }
+
+  // Executes the statement and returns its result object
+  run(params) {
+    const result = this.executor.executeAll(this.statements, this.database, params);
+    if (!result.success) throw new Error(result.error);
+    return result;
+  }
+
+  // Executes the statement and returns the rows it produced
+  all(params) {
+    return this.run(params).data || [];
+  }
+
+  // Executes the statement and returns the first row, or null
+  get(params) {
+    const rows = this.all(params);
+    return rows.length > 0 ? rows[0] : null;
+  }
+}
+
+module.exports = PreparedStatement;
@@ -0,0 +1,518 @@
+const Parser = require('./Parser.js');
+const IndexKey = require('./IndexKey.js');
+const DataType = require('./DataType.js');
+
+// Relative costs: fetching and testing a row, reading one index entry and
+// probing a hash index (a btree probe costs the depth of the tree)
+const ROW_COST = 1;
+const INDEX_ENTRY_COST = 0.2;
+const HASH_PROBE_COST = 1;
+const SORT_COMPARISON_COST = 0.1;
+
+// Selectivities assumed for columns without statistics
+const DEFAULT_EQUALITY = 0.05;
+const DEFAULT_RANGE = 1 / 3;
+const DEFAULT_SELECTIVITY = 0.5;
+
+const HISTOGRAM_BUCKETS = 10;
+
+// Chooses how a table finds the rows matching an expression: a full scan, an
+// index lookup or range scan for one predicate, or the intersection (AND) or
+// union (OR) of several index scans. Row estimates come from the statistics
+// collected by ANALYZE when there are any, and from the indexes otherwise.
+//
+// Plans are trees of { operation, table, index, condition, filter,
+// estimatedRows, estimatedCost, children }. Executing a plan fills in
+// actualRows and actualTime (in milliseconds) on every node.
+class QueryPlanner {
+  constructor(table) {
+    this.table = table;
+  }
+
+  // Returns the cheapest plan for finding the rows matching expr (null for all rows)
+  plan(expr) {
+    const table = this.table;
+    const rows = table.storage.length;
+    const conjuncts = this.splitConjuncts(expr);
+    const seqCost = rows * ROW_COST;
+
+    let node;
+    const path = expr ? this.bestPath(conjuncts) : null;
+    if (path && path.indexCost + path.rows * ROW_COST < seqCost) {
+      node = path.node;
+      node.estimatedCost = QueryPlanner.round(path.indexCost + path.rows * ROW_COST);
+      const residual = conjuncts.filter(conjunct => !path.consumed.has(conjunct));
+      if (residual.length > 0) node.filter = residual.map(format).join(' AND ');
+    } else {
+      node = { operation: 'Seq Scan', table: table.name, estimatedCost: QueryPlanner.round(seqCost), children: [] };
+      if (expr) node.filter = format(expr);
+    }
+
+    node.expr = expr;
+    node.estimatedRows = this.estimateRows(expr ? this.selectivity(expr) : 1);
+    return node;
+  }
+
+  // Runs a plan, returning the positions of the matching rows
+  execute(node) {
+    const started = process.hrtime.bigint();
+    const table = this.table;
+    let positions;
+
+    switch (node.operation) {
+      case 'Seq Scan':
+        positions = Array.from({ length: table.storage.length }, (row, i) => i);
+        break;
+      case 'Index Scan':
+      case 'Index Range Scan':
+        positions = this.lookup(node);
+        break;
+      case 'Index Intersect': {
+        const [first, ...rest] = node.children.map(child => this.execute(child));
+        const sets = rest.map(list => new Set(list));
+        positions = first.filter(p => sets.every(set => set.has(p))).sort((a, b) => a - b);
+        break;
+      }
+      case 'Index Union': {
+        const union = new Set();
+        node.children.forEach(child => this.execute(child).forEach(p => union.add(p)));
+        positions = [...union].sort((a, b) => a - b);
+        break;
+      }
+      default:
+        throw new Error(`Unknown plan operation '${node.operation}'`);
+    }
+
+    // Index results are candidates; the full condition is always rechecked
+    if (node.expr) {
+      positions = positions.filter(p => table.evaluator.matches(node.expr, table.storage.get(p)));
+    }
+
+    node.actualRows = positions.length;
+    node.actualTime = Number(process.hrtime.bigint() - started) / 1e6;
+    return positions;
+  }
+
+  lookup(node) {
+    const table = this.table;
+    const index = table.indexes[node.index];
+    if (!index) {
+      throw new Error(`Index '${node.index}' no longer exists on table '${table.name}'`);
+    }
+
+    const { lookup } = node;
+    switch (lookup.kind) {
+      case 'equal':
+        return table.prefixLookup(index, lookup.values);
+      case 'in': {
+        const positions = new Set();
+        lookup.values.forEach(value => table.prefixLookup(index, [value]).forEach(p => positions.add(p)));
+        return [...positions];
+      }
+      case 'range':
+        return table.rangeLookup(index, lookup);
+    }
+  }
+
+  // The cheapest way to narrow the rows with indexes, or null when no index
+  // applies: one index path, or several intersected while that pays off
+  bestPath(conjuncts) {
+    const candidates = this.indexPaths(conjuncts);
+    if (candidates.length === 0) return null;
+
+    const total = path => path.indexCost + path.rows * ROW_COST;
+    candidates.sort((a, b) => total(a) - total(b));
+
+    const chosen = [candidates[0]];
+    let best = candidates[0];
+    for (const candidate of candidates.slice(1)) {
+      if ([...candidate.consumed].some(conjunct => best.consumed.has(conjunct))) continue;
+
+      const paths = [...chosen, candidate];
+      const combined = this.combinePaths('Index Intersect', paths,
+        this.table.storage.length * paths.reduce((product, path) => product * this.fraction(path.rows), 1));
+      if (total(combined) < total(best)) {
+        chosen.push(candidate);
+        best = combined;
+      }
+    }
+    return best;
+  }
+
+  // Every index path for the conjuncts of a condition. A path records the
+  // conjuncts it answers, its estimated matches and the cost of reading them.
+  indexPaths(conjuncts) {
+    const table = this.table;
+    const paths = [];
+
+    // Equalities on the leading columns of an index; a hash index needs all of them
+    const equalities = new Map();
+    for (const conjunct of conjuncts) {
+      const comparison = this.columnComparison(conjunct);
+      if (comparison && comparison.operator === '=' && !equalities.has(comparison.column)) {
+        equalities.set(comparison.column, { value: comparison.value, conjunct });
+      }
+    }
+    for (const index of Object.values(table.indexes)) {
+      let matched = 0;
+      while (matched < index.columns.length && equalities.has(index.columns[matched])) matched++;
+      if (matched === 0 || (matched < index.columns.length && !index.ordered)) continue;
+
+      const used = index.columns.slice(0, matched).map(column => equalities.get(column));
+      const selectivity = index.columns.slice(0, matched)
+        .reduce((product, column, i) => product * this.equalitySelectivity(column, used[i].value), 1);
+      paths.push(this.indexPath(index, 'Index Scan', { kind: 'equal', values: used.map(entry => entry.value) },
+        used.map(entry => entry.conjunct), selectivity));
+    }
+
+    for (const conjunct of conjuncts) {
+      paths.push(...this.predicatePaths(conjunct));
+    }
+    return paths;
+  }
+
+  // Paths answering a single predicate with an index led by its column
+  predicatePaths(expr) {
+    const paths = [];
+    const indexesOn = (column, ordered) => Object.values(this.table.indexes)
+      .filter(index => index.columns[0] === column && (index.ordered || (!ordered && index.columns.length === 1)));
+
+    const comparison = this.columnComparison(expr);
+    if (comparison && comparison.operator !== '=') {
+      const { column, operator, value } = comparison;
+      const key = this.table.indexKey(column, value);
+      const bounds = {
+        '<': { high: key, highInclusive: false },
+        '<=': { high: key },
+        '>': { low: key, lowInclusive: false },
+        '>=': { low: key }
+      }[operator];
+      for (const index of indexesOn(column, true)) {
+        paths.push(this.indexPath(index, 'Index Range Scan', { kind: 'range', ...bounds }, [expr],
+          this.rangeSelectivity(column, bounds)));
+      }
+    }
+
+    if (expr.type === 'In' && !expr.negated && expr.expr.type === 'Column' &&
+        expr.list.every(item => item.type === 'Literal')) {
+      const values = expr.list.map(item => item.value).filter(value => value !== null);
+      for (const index of indexesOn(expr.expr.name, false)) {
+        const selectivity = Math.min(1, values.reduce((sum, value) => sum + this.equalitySelectivity(expr.expr.name, value), 0));
+        paths.push(this.indexPath(index, 'Index Scan', { kind: 'in', values }, [expr], selectivity, values.length));
+      }
+    }
+
+    if (expr.type === 'Between' && !expr.negated && expr.expr.type === 'Column' &&
+        expr.low.type === 'Literal' && expr.high.type === 'Literal' &&
+        expr.low.value !== null && expr.high.value !== null) {
+      const column = expr.expr.name;
+      const bounds = { low: this.table.indexKey(column, expr.low.value), high: this.table.indexKey(column, expr.high.value) };
+      for (const index of indexesOn(column, true)) {
+        paths.push(this.indexPath(index, 'Index Range Scan', { kind: 'range', ...bounds }, [expr],
+          this.rangeSelectivity(column, bounds)));
+      }
+    }
+
+    // LIKE 'abc%' only matches strings in the range starting at 'abc'
+    const prefix = this.likePrefix(expr);
+    if (prefix) {
+      const bounds = { low: prefix, high: `${prefix}\uffff` };
+      for (const index of indexesOn(expr.expr.name, true)) {
+        paths.push(this.indexPath(index, 'Index Range Scan', { kind: 'range', ...bounds }, [expr],
+          this.rangeSelectivity(expr.expr.name, bounds)));
+      }
+    }
+
+    // An OR can use indexes only when every branch can
+    if (expr.type === 'Binary' && expr.operator === 'OR') {
+      const branches = [];
+      const collect = node => {
+        if (node.type === 'Binary' && node.operator === 'OR') {
+          collect(node.left);
+          collect(node.right);
+        } else {
+          branches.push(node);
+        }
+      };
+      collect(expr);
+
+      const children = branches.map(branch => this.bestPath(this.splitConjuncts(branch)));
+      if (children.every(Boolean)) {
+        const union = this.combinePaths('Index Union', children, this.estimateRows(this.selectivity(expr), false));
+        union.consumed = new Set([expr]);
+        paths.push(union);
+      }
+    }
+
+    return paths;
+  }
+
+  indexPath(index, operation, lookup, consumed, selectivity, probes = 1) {
+    const rows = this.table.storage.length * selectivity;
+    const probeCost = index.ordered ? 1 + Math.log2(index.size + 1) : HASH_PROBE_COST;
+    const node = {
+      operation,
+      table: this.table.name,
+      index: index.name,
+      method: index.type,
+      condition: consumed.map(format).join(' AND '),
+      estimatedRows: this.estimateRows(selectivity),
+      estimatedCost: QueryPlanner.round(probes * probeCost + rows * INDEX_ENTRY_COST),
+      lookup,
+      children: []
+    };
+    return { node, consumed: new Set(consumed), rows, indexCost: probes * probeCost + rows * INDEX_ENTRY_COST };
+  }
+
+  // Intersects or unions index paths; the position sets are combined before
+  // any row is fetched
+  combinePaths(operation, paths, rows) {
+    const indexCost = paths.reduce((sum, path) => sum + path.indexCost, 0);
+    const consumed = new Set();
+    paths.forEach(path => path.consumed.forEach(conjunct => consumed.add(conjunct)));
+    return {
+      node: {
+        operation,
+        table: this.table.name,
+        estimatedRows: Math.round(rows),
+        estimatedCost: QueryPlanner.round(indexCost),
+        children: paths.map(path => path.node)
+      },
+      consumed,
+      rows,
+      indexCost
+    };
+  }
+
+  // Estimates
+
+  // Fraction of the rows expected to satisfy expr
+  selectivity(expr) {
+    switch (expr.type) {
+      case 'Literal':
+        return expr.value === true ? 1 : 0;
+      case 'Unary':
+        return expr.operator === 'NOT' ? 1 - this.selectivity(expr.operand) : DEFAULT_SELECTIVITY;
+      case 'Binary': {
+        if (expr.operator === 'AND') return this.selectivity(expr.left) * this.selectivity(expr.right);
+        if (expr.operator === 'OR') {
+          const left = this.selectivity(expr.left);
+          const right = this.selectivity(expr.right);
+          return left + right - left * right;
+        }
+
+        const comparison = this.columnComparison(expr);
+        if (comparison) {
+          const { column, operator, value } = comparison;
+          if (operator === '=') return this.equalitySelectivity(column, value);
+          const key = this.table.indexKey(column, value);
+          return this.rangeSelectivity(column, {
+            '<': { high: key, highInclusive: false },
+            '<=': { high: key },
+            '>': { low: key, lowInclusive: false },
+            '>=': { low: key }
+          }[operator]);
+        }
+        if ((expr.operator === '!=' || expr.operator === '<>') && expr.left.type === 'Column' && expr.right.type === 'Literal') {
+          return (1 - this.nullFraction(expr.left.name)) * (1 - this.equalitySelectivity(expr.left.name, expr.right.value));
+        }
+        return expr.operator === '=' ? DEFAULT_EQUALITY : DEFAULT_RANGE;
+      }
+      case 'IsNull': {
+        const fraction = expr.expr.type === 'Column' ? this.nullFraction(expr.expr.name) : DEFAULT_EQUALITY;
+        return expr.negated ? 1 - fraction : fraction;
+      }
+      case 'In': {
+        const selectivity = expr.expr.type === 'Column'
+          ? Math.min(1, expr.list.reduce((sum, item) =>
+            sum + (item.type === 'Literal' ? this.equalitySelectivity(expr.expr.name, item.value) : DEFAULT_EQUALITY), 0))
+          : DEFAULT_SELECTIVITY;
+        return expr.negated ? 1 - selectivity : selectivity;
+      }
+      case 'Between': {
+        let selectivity = DEFAULT_RANGE * DEFAULT_RANGE;
+        if (expr.expr.type === 'Column' && expr.low.type === 'Literal' && expr.high.type === 'Literal') {
+          const column = expr.expr.name;
+          selectivity = this.rangeSelectivity(column, {
+            low: this.table.indexKey(column, expr.low.value),
+            high: this.table.indexKey(column, expr.high.value)
+          });
+        }
+        return expr.negated ? 1 - selectivity : selectivity;
+      }
+      case 'Like': {
+        const prefix = this.likePrefix({ ...expr, negated: false });
+        const selectivity = prefix
+          ? this.rangeSelectivity(expr.expr.name, { low: prefix, high: `${prefix}\uffff` })
+          : DEFAULT_RANGE;
+        return expr.negated ? 1 - selectivity : selectivity;
+      }
+      default:
+        return DEFAULT_SELECTIVITY;
+    }
+  }
+
+  equalitySelectivity(column, value) {
+    if (value === null) return 0;
+
+    const stats = this.columnStatistics(column);
+    if (stats) return stats.distinct > 0 ? (1 - stats.nullFraction) / stats.distinct : 0;
+
+    const rows = this.table.storage.length;
+    const def = this.table.schema[column];
+    if (def && (def.primaryKey || def.unique)) return rows > 0 ? 1 / rows : 0;
+
+    const index = Object.values(this.table.indexes).find(index => index.columns.length === 1 && index.columns[0] === column);
+    if (index && index.size > 0) return 1 / index.size;
+    return DEFAULT_EQUALITY;
+  }
+
+  // Fraction of rows with keys between the bounds, read from the histogram
+  rangeSelectivity(column, { low, high }) {
+    const stats = this.columnStatistics(column);
+    if (!stats || stats.histogram.length === 0) {
+      return low !== undefined && high !== undefined ? DEFAULT_RANGE * DEFAULT_RANGE : DEFAULT_RANGE;
+    }
+
+    const below = key => key === undefined ? null : this.histogramFraction(stats.histogram, key);
+    const from = low === undefined ? 0 : below(low);
+    const to = high === undefined ? 1 : below(high);
+    return Math.max(0, to - from) * (1 - stats.nullFraction);
+  }
+
+  // Fraction of the histogram below key, interpolating inside numeric buckets
+  histogramFraction(histogram, key) {
+    const buckets = histogram.length - 1;
+    if (IndexKey.compare(key, histogram[0]) <= 0) return 0;
+    if (IndexKey.compare(key, histogram[buckets]) > 0) return 1;
+    if (buckets === 0) return 0.5;
+
+    let i = 0;
+    while (i < buckets - 1 && IndexKey.compare(key, histogram[i + 1]) > 0) i++;
+    const [start, end] = [histogram[i], histogram[i + 1]];
+    const within = typeof key === 'number' && typeof start === 'number' && typeof end === 'number' && end > start
+      ? (key - start) / (end - start)
+      : 0.5;
+    return (i + Math.min(1, Math.max(0, within))) / buckets;
+  }
+
+  nullFraction(column) {
+    const stats = this.columnStatistics(column);
+    if (stats) return stats.nullFraction;
+    const def = this.table.schema[column];
+    return def && (def.required || def.primaryKey) ? 0 : DEFAULT_EQUALITY;
+  }
+
+  // Number of distinct values in a column, for estimating groups and joins
+  distinctValues(column) {
+    const stats = this.columnStatistics(column);
+    if (stats) return stats.distinct;
+    const selectivity = this.equalitySelectivity(column, true);
+    return selectivity > 0 ? Math.max(1, Math.round(1 / selectivity)) : 1;
+  }
+
+  columnStatistics(column) {
+    const statistics = this.table.statistics;
+    return statistics && statistics.columns[column] ? statistics.columns[column] : null;
+  }
+
+  // Collects the statistics used for estimates: for every column, the share
+  // of NULLs, the number of distinct values and an equal-height histogram
+  analyze() {
+    const names = Object.keys(this.table.schema);
+    const columnValues = names.map(() => []);
+    let rows = 0;
+    for (const row of this.table.storage) {
+      names.forEach((column, i) => {
+        const value = IndexKey.normalize(row[column]);
+        if (value !== null) columnValues[i].push(value);
+      });
+      rows++;
+    }
+
+    const columns = {};
+    names.forEach((column, i) => {
+      const values = columnValues[i];
+      const distinct = new Set(values.map(IndexKey.encode)).size;
+
+      const sortable = values.filter(value => typeof value !== 'object').sort(IndexKey.compare);
+      const histogram = [];
+      if (sortable.length > 0) {
+        const buckets = Math.min(HISTOGRAM_BUCKETS, sortable.length - 1);
+        for (let i = 0; i <= buckets; i++) {
+          histogram.push(sortable[buckets === 0 ? 0 : Math.round(i * (sortable.length - 1) / buckets)]);
+        }
+      }
+
+      columns[column] = {
+        nullFraction: rows > 0 ? (rows - values.length) / rows : 0,
+        distinct,
+        histogram
+      };
+    });
+
+    return { rows, analyzedAt: new Date().toISOString(), columns };
+  }
+
+  // Helpers
+
+  // The cost of sorting rows, for comparing plans that avoid a sort
+  static sortCost(rows) {
+    return rows > 1 ? rows * Math.log2(rows) * SORT_COMPARISON_COST : 0;
+  }
+
+  static round(cost) {
+    return Math.round(cost * 100) / 100;
+  }
+
+  estimateRows(selectivity, clamp = true) {
+    const rows = this.table.storage.length * selectivity;
+    return clamp && rows > 0 ? Math.max(1, Math.round(rows)) : Math.round(rows);
+  }
+
+  fraction(rows) {
+    const total = this.table.storage.length;
+    return total > 0 ? Math.min(1, rows / total) : 0;
+  }
+
+  splitConjuncts(expr) {
+    if (!expr) return [];
+    if (expr.type === 'Binary' && expr.operator === 'AND') {
+      return [...this.splitConjuncts(expr.left), ...this.splitConjuncts(expr.right)];
+    }
+    return [expr];
+  }
+
+  // Reads `column op literal` (in either order) from a comparison node
+  columnComparison(expr) {
+    if (expr.type !== 'Binary' || !['=', '<', '>', '<=', '>='].includes(expr.operator)) return null;
+
+    let { operator, left: column, right: value } = expr;
+    if (column.type !== 'Column') {
+      [column, value] = [value, column];
+      operator = { '<': '>', '>': '<', '<=': '>=', '>=': '<=', '=': '=' }[operator];
+    }
+    if (column.type !== 'Column' || value.type !== 'Literal' || value.value === null) return null;
+    return { column: column.name, operator, value: value.value };
+  }
+
+  // The fixed start of a LIKE pattern such as 'abc%', or null. Only a column
+  // of strings keeps its matches in that range of keys: 10 matches '1%' in an
+  // INTEGER column but sorts after every key starting with '1'.
+  likePrefix(expr) {
+    if (expr.type !== 'Like' || expr.negated || expr.expr.type !== 'Column' ||
+        expr.pattern.type !== 'Literal' || typeof expr.pattern.value !== 'string') return null;
+    const def = this.table.schema[expr.expr.name];
+    if (!def || DataType.storage(def.type) !== 'string') return null;
+    return expr.pattern.value.split(/[%_]/)[0] || null;
+  }
+}
+
+function format(expr) {
+  return Parser.format(expr);
+}
+
+QueryPlanner.ROW_COST = ROW_COST;
+QueryPlanner.DEFAULT_SELECTIVITY = DEFAULT_SELECTIVITY;
+
+module.exports = QueryPlanner;
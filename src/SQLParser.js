@@ -1,336 +1,1662 @@
+const Parser = require('./Parser.js');
+const Evaluator = require('./Evaluator.js');
+const DataType = require('./DataType.js');
+const QueryPlanner = require('./QueryPlanner.js');
+const Table = require('./Table.js');
+
+// Rounds a WITH RECURSIVE query may take before it is assumed to never finish
+const MAX_RECURSION = 10000;
+
 class SQLParser {
-  parseAndExecute(sql, database) {
-    const tokens = this.tokenize(sql);
-    const command = tokens[0]?.toUpperCase();
-    
+  parse(sql) {
+    return new Parser(sql).parse();
+  }
+
+  parseAndExecute(sql, database, params) {
     try {
-      switch(command) {
-        case 'CREATE':
-          return this.parseCreate(tokens, database);
-        case 'INSERT':
-          return this.parseInsert(tokens, database);
-        case 'SELECT':
-          return this.parseSelect(tokens, database);
-        case 'UPDATE':
-          return this.parseUpdate(tokens, database);
-        case 'DELETE':
-          return this.parseDelete(tokens, database);
-        case 'DROP':
-          return this.parseDrop(tokens, database);
-        case 'USE':
-          return { success: true, message: `Using database ${tokens[1]}` };
-        default:
-          throw new Error(`Unknown command: ${command}`);
-      }
+      return this.executeAll(this.parse(sql), database, params);
     } catch (error) {
       return { success: false, error: error.message };
     }
   }
 
-  tokenize(sql) {
-    return sql
-      .replace(/\(/g, ' ( ')
-      .replace(/\)/g, ' ) ')
-      .replace(/,/g, ' , ')
-      .replace(/;/g, '')
-      .split(/\s+/)
-      .filter(token => token.length > 0);
+  // Runs parsed statements with their placeholders bound to params, returning
+  // the result of the last one
+  executeAll(statements, database, params) {
+    if (statements.length === 0) {
+      throw new Error('Empty query');
+    }
+
+    // Statements that only read share the database with other readers
+    const bound = this.bind(statements, params);
+    const readOnly = bound.every(statement => this.isReadOnly(statement));
+    return database[readOnly ? 'read' : 'write'](() => {
+      let result;
+      for (const statement of bound) {
+        result = this.execute(statement, database);
+      }
+      return result;
+    });
   }
 
-  parseCreate(tokens, database) {
-    if (tokens[1]?.toUpperCase() !== 'TABLE') {
-      throw new Error('Expected TABLE after CREATE');
+  isReadOnly(statement) {
+    switch (statement.type) {
+      case 'Select':
+      case 'ShowIndexes':
+      case 'Use':
+        return true;
+      case 'Explain':
+        return !statement.analyze || this.isReadOnly(statement.statement);
+      default:
+        return false;
     }
-    
-    const tableName = tokens[2];
+  }
+
+  // Copies the statements with each placeholder replaced by its value. ? and
+  // $n take values from an array, :name from an object.
+  bind(statements, params) {
+    const parameters = [];
+    const collect = node => {
+      if (Array.isArray(node)) node.forEach(collect);
+      else if (node && typeof node === 'object') {
+        if (node.type === 'Parameter') parameters.push(node);
+        else Object.values(node).forEach(collect);
+      }
+    };
+    collect(statements);
+
+    if (parameters.length === 0) {
+      if (params !== undefined && params !== null && Object.keys(params).length > 0) {
+        throw new Error(`Expected 0 parameters but got ${Array.isArray(params) ? params.length : Object.keys(params).length}`);
+      }
+      return statements;
+    }
+
+    const named = parameters[0].name !== undefined;
+    if (named && (!params || typeof params !== 'object' || Array.isArray(params))) {
+      throw new Error('Named parameters require an object of values');
+    }
+    if (!named) {
+      if (!Array.isArray(params)) throw new Error('Positional parameters require an array of values');
+      const expected = Math.max(...parameters.map(p => p.index));
+      if (params.length > expected) {
+        throw new Error(`Expected ${expected} parameter(s) but got ${params.length}`);
+      }
+    }
+
+    const valueOf = node => {
+      const present = named ? Object.prototype.hasOwnProperty.call(params, node.name) : node.index <= params.length;
+      if (!present) {
+        throw new Error(`No value for parameter ${named ? `:${node.name}` : `$${node.index}`}`);
+      }
+      const value = named ? params[node.name] : params[node.index - 1];
+      return value === undefined ? null : value;
+    };
+
+    const copy = (node, key) => {
+      if (Array.isArray(node)) return node.map(item => copy(item));
+      if (!node || typeof node !== 'object') return node;
+      if (node.type === 'Parameter') {
+        const value = valueOf(node);
+        if (key === 'limit' || key === 'offset') {
+          if (!Number.isInteger(value) || value < 0) {
+            throw new Error(`${key.toUpperCase()} must be a non-negative integer but got ${JSON.stringify(value)}`);
+          }
+          return value;
+        }
+        return { type: 'Literal', value };
+      }
+
+      const result = {};
+      for (const [name, child] of Object.entries(node)) {
+        result[name] = copy(child, name);
+      }
+      return result;
+    };
+    return copy(statements);
+  }
+
+  execute(statement, database) {
+    switch(statement.type) {
+      case 'CreateTable':
+        return this.parseCreate(statement, database);
+      case 'Insert':
+        return this.parseInsert(statement, database);
+      case 'Select':
+        return this.parseSelect(statement, database);
+      case 'Update':
+        return this.parseUpdate(statement, database);
+      case 'Delete':
+        return this.parseDelete(statement, database);
+      case 'DropTable':
+        return this.parseDrop(statement, database);
+      case 'AlterTable':
+        return this.parseAlter(statement, database);
+      case 'CreateIndex':
+        return this.parseCreateIndex(statement, database);
+      case 'DropIndex':
+        return this.parseDropIndex(statement, database);
+      case 'ShowIndexes':
+        return this.parseShowIndexes(statement, database);
+      case 'CreateView':
+        return this.parseCreateView(statement, database);
+      case 'DropView':
+        return this.parseDropView(statement, database);
+      case 'RefreshView':
+        return this.parseRefreshView(statement, database);
+      case 'CreateSequence':
+        return this.parseCreateSequence(statement, database);
+      case 'DropSequence':
+        return this.parseDropSequence(statement, database);
+      case 'Explain':
+        return this.parseExplain(statement, database);
+      case 'Analyze':
+        return this.parseAnalyze(statement, database);
+      case 'Begin':
+      case 'Commit':
+      case 'Rollback':
+      case 'Savepoint':
+      case 'Release':
+        return this.parseTransaction(statement, database);
+      case 'Use':
+        return { success: true, message: `Using database ${statement.database}` };
+      default:
+        throw new Error(`Unknown command: ${statement.type}`);
+    }
+  }
+
+  // Evaluates a literal expression such as 'text', 42, -1, TRUE or NULL
+  evaluateConstant(node) {
+    if (node.type === 'Literal') return node.value;
+    if (node.type === 'Unary' && node.operator === '-') {
+      return -this.evaluateConstant(node.operand);
+    }
+    if (node.type === 'Unary' && node.operator === '+') {
+      return this.evaluateConstant(node.operand);
+    }
+    throw new Error('Expected a literal value');
+  }
+
+  // Evaluates a value written by INSERT or UPDATE, which may call functions
+  // but not read columns
+  evaluateValue(node, database) {
+    Evaluator.walk(node, child => {
+      if (child.type === 'Column') {
+        throw new Error(`Column ${Parser.format(child)} cannot be used in a value`);
+      }
+    });
+    return new Evaluator({ functions: database.functions }).evaluate(node, {});
+  }
+
+  parseCreate(statement, database) {
     const schema = {};
+
+    const checks = [];
+    for (const column of statement.columns) {
+      schema[column.name] = this.columnDefinition(column);
+      column.checks.forEach(check => checks.push(this.checkDefinition(check, column.name)));
+    }
+    statement.checks.forEach(check => checks.push(this.checkDefinition(check)));
+    if (checks.length > 0) schema.$checks = checks;
+
+    for (const { column, references } of statement.foreignKeys) {
+      if (!schema[column]) {
+        throw new Error(`Foreign key column '${column}' is not defined`);
+      }
+      schema[column].foreignKey = this.foreignKey(references);
+    }
+    if (statement.engine) schema.$engine = statement.engine;
+
+    database.createTable(statement.table, schema);
+    return { success: true, message: `Table ${statement.table} created` };
+  }
+
+  // Converts a parsed column definition to the schema format used by Table
+  columnDefinition(column) {
+    const columnDef = DataType.resolve(column.dataType, column.typeArgs);
+
+    if (column.primaryKey) columnDef.primaryKey = true;
+    if (column.unique) columnDef.unique = true;
+    if (column.autoIncrement) columnDef.autoIncrement = true;
+    if (column.notNull) columnDef.required = true;
+    if (column.defaultValue) {
+      columnDef.defaultValue = this.evaluateConstant(column.defaultValue);
+    }
+    if (column.references) columnDef.foreignKey = this.foreignKey(column.references);
+
+    return columnDef;
+  }
+
+  checkDefinition(check, column = null) {
+    const definition = { expression: Parser.format(check.expr) };
+    if (check.name) definition.name = check.name;
+    if (column) definition.column = column;
+    return definition;
+  }
+
+  parseAlter(statement, database) {
+    const actions = statement.actions.flatMap(change => {
+      switch (change.action) {
+        case 'AddColumn':
+          return [
+            { action: 'addColumn', column: change.column.name, definition: this.columnDefinition(change.column) },
+            ...change.column.checks.map(check => ({ action: 'addCheck', ...this.checkDefinition(check, change.column.name) }))
+          ];
+        case 'AddCheck':
+          return { action: 'addCheck', ...this.checkDefinition(change) };
+        case 'DropConstraint':
+          return { action: 'dropConstraint', name: change.name };
+        case 'DropColumn':
+          return { action: 'dropColumn', column: change.column };
+        case 'RenameColumn':
+          return { action: 'renameColumn', column: change.column, to: change.to };
+        case 'RenameTable':
+          return { action: 'renameTable', to: change.name };
+        case 'AlterColumnType':
+          return { action: 'alterColumnType', column: change.column, ...DataType.resolve(change.dataType, change.typeArgs) };
+        case 'SetAutoIncrement':
+          return { action: 'setAutoIncrement', value: change.value };
+      }
+    });
+
+    database.alterTable(statement.table, actions);
+    return { success: true, message: `Table ${statement.table} altered` };
+  }
+
+  foreignKey(references) {
+    const foreignKey = { table: references.table, column: references.column };
+    if (references.onDelete) foreignKey.onDelete = references.onDelete;
+    if (references.onUpdate) foreignKey.onUpdate = references.onUpdate;
+    return foreignKey;
+  }
+
+  // SQL indexes are ordered unless USING HASH is given
+  parseCreateIndex(statement, database) {
+    const table = database.getTable(statement.table);
+    table.createIndex(statement.columns, {
+      name: statement.name,
+      type: statement.using || 'btree',
+      unique: statement.unique
+    });
+    return { success: true, message: `Index ${statement.name} created on ${statement.table}` };
+  }
+
+  // Without ON, the index is looked up by name across every table
+  parseDropIndex(statement, database) {
+    let table;
+    if (statement.table) {
+      table = database.getTable(statement.table);
+    } else {
+      const owners = Object.values(database.tables).filter(t => t.indexes[statement.name]);
+      if (owners.length === 0) {
+        throw new Error(`Index '${statement.name}' does not exist`);
+      }
+      if (owners.length > 1) {
+        throw new Error(`Index '${statement.name}' exists on several tables; use DROP INDEX ${statement.name} ON <table>`);
+      }
+      table = owners[0];
+    }
+
+    table.dropIndex(statement.name);
+    return { success: true, message: `Index ${statement.name} dropped from ${table.name}` };
+  }
+
+  parseShowIndexes(statement, database) {
+    const table = database.getTable(statement.table);
+    const data = table.listIndexes().map(index => {
+      // The primary key's values are kept unique by its column, not its index
+      const primary = index.name === table.primaryKey;
+      return {
+        name: index.name,
+        columns: index.columns.join(', '),
+        type: index.type,
+        unique: index.unique || primary,
+        primary
+      };
+    });
+    return { success: true, message: `Found ${data.length} index(es)`, data };
+  }
+
+  parseInsert(statement, database) {
+    const table = database.getTable(statement.table);
+    const columns = statement.columns || Object.keys(table.schema);
+    const target = this.prepareTarget(statement, table, database);
     
-    let i = 4; // Skip CREATE TABLE name (
-    while (i < tokens.length && tokens[i] !== ')') {
-      const columnName = tokens[i++];
-      const dataType = tokens[i++];
-      
-      const columnDef = { type: dataType.toLowerCase() };
+    const rows = statement.query
+      ? this.runQuery(statement.query, database).rows
+      : statement.values.map(values => values.map(value => this.evaluateValue(value, database)));
+    const records = rows.map(values => {
+      if (values.length !== columns.length) {
+        throw new Error(`Expected ${columns.length} value(s) but got ${values.length}`);
+      }
+      const record = {};
+      columns.forEach((column, j) => {
+        record[column] = values[j];
+      });
+      return record;
+    });
+    
+    const onConflict = statement.onConflict && {
+      columns: statement.onConflict.columns,
+      updates: statement.onConflict.assignments && this.prepareConflict(statement.onConflict, table, database)
+    };
+    const changes = table.insertRows(records, onConflict);
+    const changed = changes.map(change => ({ ...change.row }));
+    const inserted = changes.filter(change => change.op === 'insert').length;
+    
+    // A single row keeps the result of a plain INSERT
+    if (records.length === 1 && inserted === 1 && !statement.query) {
+      const result = changed[0];
+      return { 
+        success: true, 
+        message: `Record inserted with ID: ${result.id || result[table.primaryKey]}`,
+        data: statement.returning ? this.returningRows(target, changed) : result 
+      };
+    }
+    
+    const updated = changes.length - inserted;
+    const skipped = records.length - changes.length;
+    let message = `Inserted ${inserted} record(s)`;
+    if (updated > 0) message += `, updated ${updated}`;
+    if (skipped > 0) message += `, skipped ${skipped}`;
+    
+    const result = { success: true, message };
+    if (statement.returning) result.data = this.returningRows(target, changed);
+    return result;
+  }
+
+  // ON CONFLICT DO UPDATE SET expressions read the existing row by the
+  // table's name and the row that was to be inserted as excluded. Returns the
+  // updates function Table#insertRows calls for each conflicting row.
+  prepareConflict(onConflict, table, database) {
+    const columns = Object.keys(table.schema);
+    const sources = [{ alias: table.name, table, columns }, { alias: 'excluded', table, columns }];
+    const evaluator = new Evaluator({ sources, functions: database.functions });
+    const expressions = onConflict.assignments.map(assignment => assignment.value);
+    
+    Evaluator.walk(expressions, node => {
+      if (node.type === 'Column') evaluator.resolveSource(node);
+    });
+    this.prepareSubqueries(expressions, evaluator, database, {});
+    
+    return (row, excluded) => {
+      const values = {};
+      for (const assignment of onConflict.assignments) {
+        values[assignment.column] = evaluator.evaluate(assignment.value, { [table.name]: row, excluded });
+      }
+      return values;
+    };
+  }
+
+  parseSelect(statement, database) {
+    const query = this.planSelect(statement, database);
+    const results = this.runSelect(query);
+    
+    return {
+      success: true,
+      message: `Found ${results.length} record(s)`,
+      data: results
+    };
+  }
+
+  // Chooses how a SELECT runs. The plan is a tree of operations, each with
+  // estimated rows and a cost that includes its children; the rest of the
+  // returned query is what running it needs. The scope holds the WITH queries
+  // in effect ({ ctes }) and, for a subquery, the evaluator of the query
+  // around it ({ outer }).
+  planSelect(statement, database, scope = {}) {
+    scope = this.planWith(statement, database, scope);
+    const sources = this.resolveSources(statement, database, scope);
+    const evaluator = new Evaluator({ sources, parent: scope.outer, functions: database.functions });
+    const columns = this.selectColumns(statement.columns, sources);
+    statement = { ...statement, orderBy: this.resolveOrderBy(statement, columns) };
+    this.prepareSubqueries(this.selectExpressions(statement), evaluator, database, scope);
+    
+    // Resolving every column of a subquery up front tells which ones belong
+    // to the outer query
+    if (scope.outer) {
+      Evaluator.walk([...columns.map(column => column.expr), ...this.selectExpressions(statement)], node => {
+        if (node.type === 'Column') evaluator.resolveSource(node);
+      });
+    }
+    
+    const aggregates = this.collectAggregates([
+      ...columns.map(column => column.expr),
+      statement.having,
+      ...statement.orderBy.map(order => order.expr)
+    ]);
+    const grouped = statement.groupBy.length > 0 || aggregates.length > 0 || statement.having;
+    if (grouped) {
+      this.checkGrouping(statement, columns, evaluator);
+    }
+    const windows = this.collectWindows(statement, columns);
+    if (statement.distinct) {
+      const unselected = statement.orderBy.find(order =>
+        !columns.some(column => this.sameExpression(column.expr, order.expr, evaluator)));
+      if (unselected) {
+        throw new Error(`ORDER BY ${Parser.format(unselected.expr)} must appear in the select list of a SELECT DISTINCT`);
+      }
+    }
+    
+    let plan = this.planScan(statement, sources, evaluator);
+    const ordered = !grouped && windows.length === 0 && this.planOrderedScan(statement, sources, evaluator, plan);
+    if (ordered) plan = ordered;
+    
+    // Collapse rows into groups when the query aggregates
+    if (grouped) {
+      let groups = 1;
+      for (const expr of statement.groupBy) {
+        groups *= expr.type === 'Column' ? this.distinctValues(expr, sources, evaluator) : 10;
+      }
+      groups = statement.groupBy.length > 0 ? Math.min(plan.estimatedRows, groups) : 1;
+      plan = {
+        operation: statement.groupBy.length > 0 ? 'Group Aggregate' : 'Aggregate',
+        keys: statement.groupBy.map(expr => Parser.format(expr)),
+        filter: statement.having ? Parser.format(statement.having) : undefined,
+        estimatedRows: Math.round(statement.having ? groups * QueryPlanner.DEFAULT_SELECTIVITY : groups),
+        estimatedCost: QueryPlanner.round(plan.estimatedCost + plan.estimatedRows * QueryPlanner.ROW_COST),
+        children: [plan]
+      };
+    }
+    
+    // Window functions see every row that passed WHERE and HAVING, before
+    // ORDER BY, DISTINCT and LIMIT
+    if (windows.length > 0) {
+      const specs = new Set(windows.map(node => Parser.formatWindow(node.over)));
+      plan = {
+        operation: 'WindowAgg',
+        windows: windows.map(node => Parser.format(node)),
+        estimatedRows: plan.estimatedRows,
+        estimatedCost: QueryPlanner.round(plan.estimatedCost + specs.size * QueryPlanner.sortCost(plan.estimatedRows)),
+        children: [plan]
+      };
+    }
+    
+    if (statement.orderBy.length > 0 && !ordered) {
+      plan = {
+        operation: 'Sort',
+        keys: statement.orderBy.map(Parser.formatOrder),
+        estimatedRows: plan.estimatedRows,
+        estimatedCost: QueryPlanner.round(plan.estimatedCost + QueryPlanner.sortCost(plan.estimatedRows)),
+        children: [plan]
+      };
+    }
+    
+    // Duplicates are dropped after sorting, keeping the first of each
+    if (statement.distinct) {
+      plan = {
+        operation: 'Unique',
+        estimatedRows: plan.estimatedRows,
+        estimatedCost: QueryPlanner.round(plan.estimatedCost + plan.estimatedRows * QueryPlanner.ROW_COST),
+        children: [plan]
+      };
+    }
+    
+    if (statement.limit !== null || statement.offset) {
+      const remaining = Math.max(plan.estimatedRows - (statement.offset || 0), 0);
+      plan = {
+        operation: 'Limit',
+        limit: statement.limit !== null ? statement.limit : undefined,
+        offset: statement.offset || undefined,
+        estimatedRows: statement.limit !== null ? Math.min(remaining, statement.limit) : remaining,
+        estimatedCost: plan.estimatedCost,
+        children: [plan]
+      };
+    }
+    
+    return { statement, sources, evaluator, columns, aggregates, windows, plan };
+  }
+
+  sortTuples(tuples, orderBy, evaluator) {
+    const keyed = tuples.map(tuple => ({ tuple, keys: orderBy.map(order => evaluator.evaluate(order.expr, tuple)) }));
+    keyed.sort((a, b) => this.compareKeys(a.keys, b.keys, orderBy));
+    return keyed.map(item => item.tuple);
+  }
+
+  // Compares the values of each ORDER BY key in turn. NULLs sort before other
+  // values, so first in ascending order, unless NULLS FIRST or LAST says otherwise.
+  compareKeys(a, b, orderBy) {
+    for (let i = 0; i < orderBy.length; i++) {
+      const { direction, nulls } = orderBy[i];
+      const x = a[i];
+      const y = b[i];
+      if (x === null && y === null) continue;
+      if (x === null || y === null) {
+        const nullsFirst = nulls ? nulls === 'FIRST' : direction === 'ASC';
+        return (x === null) === nullsFirst ? -1 : 1;
+      }
       
-      // Parse constraints
-      while (i < tokens.length && tokens[i] !== ',' && tokens[i] !== ')') {
-        const constraint = tokens[i++].toUpperCase();
-        switch(constraint) {
-          case 'PRIMARY':
-            if (tokens[i] === 'KEY') i++;
-            columnDef.primaryKey = true;
-            break;
-          case 'UNIQUE':
-            columnDef.unique = true;
-            break;
-          case 'AUTO_INCREMENT':
-            columnDef.autoIncrement = true;
-            break;
-          case 'NOT':
-            if (tokens[i] === 'NULL') i++;
-            columnDef.required = true;
-            break;
-          case 'DEFAULT':
-            columnDef.defaultValue = tokens[i++];
-            break;
+      const order = Evaluator.compareValues(x, y);
+      if (order !== 0) return direction === 'DESC' ? -order : order;
+    }
+    return 0;
+  }
+
+  // ORDER BY can name a result column by its alias or position (ORDER BY 2)
+  resolveOrderBy(statement, columns) {
+    return statement.orderBy.map(order => {
+      const { expr } = order;
+      if (expr.type === 'Literal' && Number.isInteger(expr.value)) {
+        if (expr.value < 1 || expr.value > columns.length) {
+          throw new Error(`ORDER BY position ${expr.value} is not in the select list`);
         }
+        return { ...order, expr: columns[expr.value - 1].expr };
       }
-      
-      schema[columnName] = columnDef;
-      if (tokens[i] === ',') i++;
+      if (expr.type === 'Column' && !expr.table) {
+        const aliased = statement.columns.find(column => column.alias === expr.name);
+        if (aliased) return { ...order, expr: aliased.expr };
+      }
+      return order;
+    });
+  }
+
+  sameExpression(a, b, evaluator) {
+    if (a === b) return true;
+    if (a.type === 'Column' && b.type === 'Column') {
+      return a.name === b.name && evaluator.resolveSource(a) === evaluator.resolveSource(b);
+    }
+    return Parser.format(a) === Parser.format(b);
+  }
+
+  // Runs a planned SELECT and returns the selected columns of every result row
+  runSelect(query) {
+    return this.runRows(query).map(values => {
+      const selected = {};
+      query.columns.forEach((column, i) => {
+        selected[column.key] = values[i];
+      });
+      return selected;
+    });
+  }
+
+  // Runs a planned SELECT, returning each result row as an array of values
+  runRows(query) {
+    const { columns, evaluator } = query;
+    return this.runPlan(query.plan, query).map(tuple => columns.map(column => evaluator.evaluate(column.expr, tuple)));
+  }
+
+  // Runs a SELECT or a UNION of them. Returns the rows as arrays of values,
+  // with the planned first SELECT, which names and types the columns.
+  runQuery(statement, database, scope = {}) {
+    if (statement.type === 'Union') {
+      const left = this.runQuery(statement.left, database, scope);
+      const right = this.runQuery(statement.right, database, scope);
+      if (left.query.columns.length !== right.query.columns.length) {
+        throw new Error('Each SELECT in a UNION must return the same number of columns');
+      }
+      const rows = [...left.rows, ...right.rows];
+      return { query: left.query, rows: statement.all ? rows : this.distinctRows(rows) };
     }
     
-    database.createTable(tableName, schema);
-    return { success: true, message: `Table ${tableName} created` };
+    const query = this.planSelect(statement, database, scope);
+    return { query, rows: this.runRows(query) };
+  }
+
+  // Drops rows already in seen (or earlier in the list), adding the rest to it
+  distinctRows(rows, seen = new Set()) {
+    return rows.filter(values => {
+      const key = JSON.stringify(values);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  // Every expression of a SELECT outside its FROM clause
+  selectExpressions(statement) {
+    return [
+      ...statement.columns.map(column => column.expr),
+      ...statement.joins.map(join => join.on),
+      statement.where,
+      ...statement.groupBy,
+      statement.having,
+      ...statement.orderBy.map(order => order.expr)
+    ].filter(Boolean);
   }
 
-  parseInsert(tokens, database) {
-    if (tokens[1]?.toUpperCase() !== 'INTO') {
-      throw new Error('Expected INTO after INSERT');
+  // Plans each subquery among the expressions against the evaluator of the
+  // query around it, and gives it a run function returning its rows. A
+  // correlated subquery, one that reads columns of the outer query, is
+  // planned again with those columns replaced by their values; its rows are
+  // reused for outer rows with the same values.
+  prepareSubqueries(expressions, evaluator, database, scope) {
+    const prepared = new Set();
+    Evaluator.walk(expressions, node => {
+      if (!Evaluator.isSubquery(node) || prepared.has(node)) return;
+      prepared.add(node);
+      
+      const query = this.planSelect(node.query, database, { ctes: scope.ctes, outer: evaluator });
+      if (node.type !== 'Exists' && query.columns.length !== 1) {
+        throw new Error(`Subquery must return one column but returns ${query.columns.length}`);
+      }
+      
+      const outerColumns = query.evaluator.outerColumns;
+      const results = new Map();
+      node.outerColumns = outerColumns;
+      node.run = (row, rowEvaluator) => {
+        const values = outerColumns.map(column => rowEvaluator.evaluate(column, row));
+        const key = JSON.stringify(values);
+        if (!results.has(key)) {
+          const bound = outerColumns.length === 0 ? query
+            : this.planSelect(this.correlate(node.query, outerColumns, values), database, { ctes: scope.ctes });
+          results.set(key, this.runRows(bound));
+        }
+        return results.get(key);
+      };
+    });
+  }
+
+  // Copies a query with the given column nodes replaced by literal values
+  correlate(node, columns, values) {
+    if (Array.isArray(node)) return node.map(item => this.correlate(item, columns, values));
+    if (!node || typeof node !== 'object' || node.type === 'Literal') return node;
+    
+    const i = columns.indexOf(node);
+    if (i !== -1) return { type: 'Literal', value: values[i] };
+    
+    const copy = {};
+    for (const [key, child] of Object.entries(node)) {
+      if (key !== 'run' && key !== 'outerColumns') copy[key] = this.correlate(child, columns, values);
     }
+    return copy;
+  }
+
+  // Runs the WITH queries of a SELECT into in-memory tables that its FROM
+  // clauses, and those of its subqueries, can name
+  planWith(statement, database, scope) {
+    if (!statement.with) return scope;
     
-    const tableName = tokens[2];
-    const table = database.getTable(tableName);
+    const ctes = new Map(scope.ctes);
+    for (const cte of statement.with) {
+      const recursive = statement.recursive && this.referencedTables(cte.query).includes(cte.name);
+      const result = recursive
+        ? this.materializeRecursive(cte, database, { ctes })
+        : this.materialize(`Query '${cte.name}'`, cte.query, cte.columns, database, { ctes });
+      ctes.set(cte.name, this.memoryTable(cte.name, result, database));
+    }
+    return { ...scope, ctes };
+  }
+
+  // WITH RECURSIVE runs a UNION whose left side seeds the rows and whose right
+  // side, which names the query itself, runs again over the rows the previous
+  // round added until a round adds none
+  materializeRecursive(cte, database, scope) {
+    const union = cte.query;
+    const what = `Recursive query '${cte.name}'`;
+    if (union.type !== 'Union' || this.referencedTables(union.left).includes(cte.name)) {
+      throw new Error(`${what} must be a SELECT that does not name it, UNION [ALL] one that does`);
+    }
     
-    let i = 3;
-    let columns = [];
+    const seed = this.runQuery(union.left, database, scope);
+    const seen = new Set();
+    let added = union.all ? seed.rows : this.distinctRows(seed.rows, seen);
+    const rows = [...added];
     
-    if (tokens[i] === '(') {
-      i++;
-      while (tokens[i] !== ')') {
-        columns.push(tokens[i++]);
-        if (tokens[i] === ',') i++;
+    for (let round = 1; added.length > 0; round++) {
+      if (round > MAX_RECURSION) {
+        throw new Error(`${what} did not finish after ${MAX_RECURSION} rounds`);
+      }
+      
+      const working = this.memoryTable(cte.name, this.tabulate(what, { query: seed.query, rows: added }, cte.columns), database);
+      const step = this.runQuery(union.right, database, { ...scope, ctes: new Map(scope.ctes).set(cte.name, working) });
+      if (step.query.columns.length !== seed.query.columns.length) {
+        throw new Error('Each SELECT in a UNION must return the same number of columns');
       }
-      i++; // Skip ')'
+      
+      added = union.all ? step.rows : this.distinctRows(step.rows, seen);
+      rows.push(...added);
     }
     
-    if (tokens[i]?.toUpperCase() !== 'VALUES') {
-      throw new Error('Expected VALUES');
+    return this.tabulate(what, { query: seed.query, rows }, cte.columns);
+  }
+
+  // Produces the tuples (rows keyed by source alias) of one plan operation,
+  // recording how many it produced and how long that took
+  runPlan(node, query) {
+    const started = process.hrtime.bigint();
+    const { statement, evaluator } = query;
+    let tuples;
+    
+    switch (node.operation) {
+      case 'Nested Loop Join':
+        tuples = this.joinSource(this.runPlan(node.children[0], query), node, evaluator);
+        break;
+      case 'Filter':
+        tuples = this.runPlan(node.children[0], query).filter(tuple => evaluator.matches(node.expr, tuple));
+        break;
+      case 'Index Ordered Scan':
+        tuples = this.orderedScan(node, statement, evaluator);
+        break;
+      case 'Aggregate':
+      case 'Group Aggregate':
+        tuples = this.groupRows(this.runPlan(node.children[0], query), statement, query.aggregates, evaluator);
+        break;
+      case 'WindowAgg':
+        tuples = this.windowRows(this.runPlan(node.children[0], query), query.windows, evaluator);
+        break;
+      case 'Sort':
+        tuples = this.sortTuples(this.runPlan(node.children[0], query), statement.orderBy, evaluator);
+        break;
+      case 'Unique': {
+        const seen = new Set();
+        tuples = this.runPlan(node.children[0], query).filter(tuple => {
+          const key = JSON.stringify(query.columns.map(column => evaluator.evaluate(column.expr, tuple)));
+          if (seen.has(key)) return false;
+          seen.add(key);
+          return true;
+        });
+        break;
+      }
+      case 'Result':
+        tuples = [{}];
+        break;
+      case 'Limit': {
+        const start = node.offset || 0;
+        const end = node.limit === undefined ? undefined : start + node.limit;
+        tuples = this.runPlan(node.children[0], query).slice(start, end);
+        break;
+      }
+      default: {
+        // A table access path chosen by the table's planner
+        const { alias, table } = node.source;
+        tuples = table.findIndices({}, node).map(i => ({ [alias]: { ...table.storage.get(i) } }));
+      }
     }
-    i++;
     
-    if (tokens[i] !== '(') throw new Error('Expected ( after VALUES');
-    i++;
+    node.actualRows = tuples.length;
+    node.actualTime = Number(process.hrtime.bigint() - started) / 1e6;
+    return tuples;
+  }
+
+  // Resolves FROM and JOIN table references into sources keyed by alias.
+  // WITH queries hide tables and views of the same name.
+  resolveSources(statement, database, scope = {}) {
+    const references = statement.from ? [statement.from, ...statement.joins.map(join => join.source)] : [];
+    const sources = [];
     
-    const values = [];
-    while (tokens[i] !== ')') {
-      let value = tokens[i++];
-      
-      // Handle strings
-      if (value.startsWith("'") && value.endsWith("'")) {
-        value = value.slice(1, -1);
-      } else if (!isNaN(value)) {
-        value = Number(value);
-      } else if (value === 'TRUE' || value === 'true') {
-        value = true;
-      } else if (value === 'FALSE' || value === 'false') {
-        value = false;
-      } else if (value === 'NULL') {
-        value = null;
+    for (const reference of references) {
+      const alias = reference.alias || reference.table;
+      if (sources.some(source => source.alias === alias)) {
+        throw new Error(`Duplicate table alias '${alias}'`);
       }
       
-      values.push(value);
-      if (tokens[i] === ',') i++;
+      let table;
+      if (reference.subquery) {
+        const result = this.materialize(`Subquery '${alias}'`, reference.subquery, reference.columns, database, { ctes: scope.ctes });
+        table = this.memoryTable(alias, result, database);
+      } else if (scope.ctes && scope.ctes.has(reference.table)) {
+        table = scope.ctes.get(reference.table);
+      } else {
+        const view = database.views[reference.table];
+        table = view && !view.materialized ? this.viewTable(view, database) : database.getTable(reference.table);
+      }
+      sources.push({ alias, table, columns: Object.keys(table.schema) });
+    }
+    
+    return sources;
+  }
+
+  // Runs a view's query into an in-memory table that queries read like any other
+  viewTable(view, database) {
+    return this.memoryTable(view.name, this.evaluateView(view, database), database);
+  }
+
+  evaluateView(view, database) {
+    return this.materialize(`View '${view.name}'`, view.statement, view.columns, database);
+  }
+
+  memoryTable(name, { schema, rows }, database) {
+    const table = new Table(name, schema, null);
+    table.storage.replace(rows);
+    table.evaluator.functions = database.functions;
+    return table;
+  }
+
+  // Runs a query (what names it in errors) and returns its rows as records
+  // under the given column names, or the query's own, with a schema for them
+  materialize(what, statement, names, database, scope = {}) {
+    return this.tabulate(what, this.runQuery(statement, database, scope), names);
+  }
+
+  // Turns rows of values into records and a schema: selected columns keep
+  // their type, computed values get one that fits what they hold
+  tabulate(what, { query, rows }, names) {
+    const keys = names || query.columns.map(column => column.key);
+    if (keys.length !== query.columns.length) {
+      throw new Error(`${what} names ${keys.length} column(s) but its query returns ${query.columns.length}`);
     }
+    const duplicate = keys.find((key, i) => keys.indexOf(key) !== i);
+    if (duplicate) {
+      throw new Error(`${what} has more than one column named '${duplicate}'`);
+    }
+    
+    const records = rows.map(values => {
+      const record = {};
+      keys.forEach((key, i) => {
+        record[key] = values[i];
+      });
+      return record;
+    });
     
-    const record = {};
-    for (let j = 0; j < columns.length; j++) {
-      record[columns[j]] = values[j];
+    const schema = {};
+    query.columns.forEach((column, i) => {
+      schema[keys[i]] = this.columnType(column.expr, rows.map(values => values[i]), query);
+    });
+    return { schema, rows: records };
+  }
+
+  columnType(expr, values, query) {
+    if (expr.type === 'Column') {
+      const alias = query.evaluator.resolveSource(expr);
+      const def = query.sources.find(source => source.alias === alias).table.schema[expr.name];
+      const type = { type: def.type };
+      ['length', 'precision', 'scale'].forEach(field => {
+        if (def[field] !== undefined) type[field] = def[field];
+      });
+      return type;
     }
     
-    const result = table.insert(record);
-    return { 
-      success: true, 
-      message: `Record inserted with ID: ${result.id || result[table.primaryKey]}`,
-      data: result 
+    const present = values.filter(value => value !== null && value !== undefined);
+    if (present.length > 0 && present.every(value => typeof value === 'boolean')) return { type: 'boolean' };
+    if (present.length > 0 && present.every(value => typeof value === 'number')) {
+      return { type: present.every(value => Number.isInteger(value)) ? 'bigint' : 'real' };
+    }
+    if (present.length > 0 && present.every(value => value instanceof Date)) return { type: 'timestamp' };
+    if (present.length > 0 && present.every(value => typeof value === 'object')) return { type: 'json' };
+    return { type: 'text' };
+  }
+
+  // Names of the tables and views a query reads, including through
+  // subqueries and WITH queries (whose own names are not included)
+  referencedTables(statement) {
+    const names = new Set();
+    const visit = (query, hidden) => {
+      if (query.type === 'Union') {
+        visit(query.left, hidden);
+        visit(query.right, hidden);
+        return;
+      }
+      
+      const scope = new Set(hidden);
+      for (const cte of query.with || []) {
+        if (query.recursive) scope.add(cte.name);
+        visit(cte.query, scope);
+        scope.add(cte.name);
+      }
+      
+      for (const reference of query.from ? [query.from, ...query.joins.map(join => join.source)] : []) {
+        if (reference.subquery) visit(reference.subquery, scope);
+        else if (!scope.has(reference.table)) names.add(reference.table);
+      }
+      Evaluator.walk(this.selectExpressions(query), node => {
+        if (Evaluator.isSubquery(node)) visit(node.query, scope);
+      });
     };
+    visit(statement, new Set());
+    return [...names];
   }
 
-  parseSelect(tokens, database) {
-    let i = 1;
+  // Expands * and alias.* and names every output column
+  selectColumns(selectList, sources) {
     const columns = [];
+    const add = (key, expr, alias) => {
+      if (columns.some(column => column.key === key) && alias) {
+        key = `${alias}.${key}`;
+      }
+      columns.push({ key, expr });
+    };
     
-    // Parse columns
-    while (i < tokens.length && tokens[i]?.toUpperCase() !== 'FROM') {
-      if (tokens[i] !== ',') {
-        columns.push(tokens[i]);
+    for (const column of selectList) {
+      const expr = column.expr;
+      
+      if (expr.type === 'Star') {
+        const expanded = expr.table ? sources.filter(source => source.alias === expr.table) : sources;
+        if (expanded.length === 0) {
+          throw new Error(expr.table ? `Unknown table or alias '${expr.table}'` : 'SELECT * needs a FROM clause');
+        }
+        for (const source of expanded) {
+          for (const name of source.columns) {
+            add(name, { type: 'Column', table: source.alias, name }, source.alias);
+          }
+        }
+      } else if (expr.type === 'Column') {
+        add(column.alias || expr.name, expr, column.alias ? null : expr.table);
+      } else {
+        add(column.alias || Parser.format(expr), expr, null);
       }
-      i++;
     }
     
-    if (tokens[i]?.toUpperCase() !== 'FROM') {
-      throw new Error('Expected FROM in SELECT');
+    return columns;
+  }
+
+  collectAggregates(expressions) {
+    const aggregates = [];
+    Evaluator.walk(expressions.filter(Boolean), node => {
+      if (!Evaluator.isAggregate(node)) return;
+      Evaluator.walk(node.args, inner => {
+        if (Evaluator.isAggregate(inner)) {
+          throw new Error('Aggregate function calls cannot be nested');
+        }
+      });
+      aggregates.push(node);
+      return false;
+    });
+    return aggregates;
+  }
+
+  // Every column used outside an aggregate must be one of the GROUP BY columns
+  checkGrouping(statement, columns, evaluator) {
+    const grouped = new Set();
+    for (const expr of statement.groupBy) {
+      Evaluator.walk(expr, node => {
+        if (Evaluator.isAggregate(node)) {
+          throw new Error('Aggregate functions are not allowed in GROUP BY');
+        }
+        if (node.type === 'Column') grouped.add(`${evaluator.resolveSource(node)}.${node.name}`);
+      });
     }
-    i++;
     
-    const tableName = tokens[i++];
-    const table = database.getTable(tableName);
+    const expressions = [
+      ...columns.map(column => column.expr),
+      statement.having,
+      ...statement.orderBy.map(order => order.expr)
+    ];
+    // Columns of an outer query are fixed for the whole group
+    const check = node => {
+      const alias = evaluator.resolveSource(node);
+      if (alias !== null && !grouped.has(`${alias}.${node.name}`)) {
+        throw new Error(`Column '${Parser.format(node)}' must appear in GROUP BY or be used in an aggregate function`);
+      }
+    };
+    Evaluator.walk(expressions.filter(Boolean), node => {
+      if (Evaluator.isAggregate(node)) return false;
+      if (node.type === 'Column') check(node);
+      if (Evaluator.isSubquery(node)) node.outerColumns.forEach(check);
+    });
+  }
+
+  groupRows(tuples, statement, aggregates, evaluator) {
+    const groups = new Map();
+    for (const tuple of tuples) {
+      const key = JSON.stringify(statement.groupBy.map(expr => evaluator.evaluate(expr, tuple)));
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(tuple);
+    }
     
-    // Parse WHERE clause
-    let conditions = {};
-    if (i < tokens.length && tokens[i]?.toUpperCase() === 'WHERE') {
-      i++;
-      conditions = this.parseCondition(tokens, i);
-      i += 3; // Skip condition tokens
+    // Without GROUP BY there is always exactly one group, even over no rows
+    if (groups.size === 0 && statement.groupBy.length === 0) {
+      groups.set('[]', []);
     }
     
-    // Parse ORDER BY
-    let orderBy = null;
-    let orderDir = 'ASC';
-    if (i < tokens.length && tokens[i]?.toUpperCase() === 'ORDER' && tokens[i+1]?.toUpperCase() === 'BY') {
-      i += 2;
-      orderBy = tokens[i++];
-      if (i < tokens.length && (tokens[i]?.toUpperCase() === 'ASC' || tokens[i]?.toUpperCase() === 'DESC')) {
-        orderDir = tokens[i++].toUpperCase();
+    const rows = [];
+    for (const members of groups.values()) {
+      const row = { ...(members[0] || {}) };
+      row[Evaluator.AGGREGATES] = new Map(
+        aggregates.map(node => [node, evaluator.aggregate(node, members)])
+      );
+      
+      if (!statement.having || evaluator.matches(statement.having, row)) {
+        rows.push(row);
       }
     }
     
-    // Parse LIMIT
-    let limit = null;
-    if (i < tokens.length && tokens[i]?.toUpperCase() === 'LIMIT') {
-      i++;
-      limit = parseInt(tokens[i++]);
+    return rows;
+  }
+
+  // The window function calls of a SELECT, which may only appear in its
+  // select list and ORDER BY
+  collectWindows(statement, columns) {
+    const clauses = [
+      ['JOIN conditions', statement.joins.map(join => join.on)],
+      ['WHERE', [statement.where]],
+      ['GROUP BY', statement.groupBy],
+      ['HAVING', [statement.having]]
+    ];
+    for (const [clause, expressions] of clauses) {
+      Evaluator.walk(expressions.filter(Boolean), node => {
+        if (Evaluator.isWindow(node)) {
+          throw new Error(`Window functions are not allowed in ${clause}`);
+        }
+      });
     }
     
-    let results = table.find(conditions);
+    const windows = [];
+    const expressions = [...columns.map(column => column.expr), ...statement.orderBy.map(order => order.expr)];
+    Evaluator.walk(expressions, node => {
+      if (!Evaluator.isWindow(node)) return;
+      if (!windows.includes(node)) {
+        this.checkWindow(node);
+        windows.push(node);
+      }
+      return false;
+    });
+    return windows;
+  }
+
+  checkWindow(node) {
+    const { name, args, star, distinct, over } = node;
+    Evaluator.walk([args, over.partitionBy, over.orderBy], inner => {
+      if (Evaluator.isWindow(inner)) {
+        throw new Error('Window function calls cannot be nested');
+      }
+    });
     
-    // Apply column selection
-    if (!columns.includes('*') && columns.length > 0) {
-      results = results.map(row => {
-        const selected = {};
-        columns.forEach(col => {
-          if (col in row) selected[col] = row[col];
-        });
-        return selected;
-      });
+    if (Evaluator.isAggregate({ type: 'Function', name })) {
+      if (star ? name !== 'COUNT' : args.length !== 1) {
+        throw new Error(star ? `${name}(*) is not supported` : `${name} expects exactly one argument`);
+      }
+      return;
+    }
+    if (!Evaluator.WINDOW_FUNCTIONS.has(name)) {
+      throw new Error(`${name} is not a window function or aggregate and cannot be used with OVER`);
+    }
+    if (star || distinct) {
+      throw new Error(`${name} does not accept ${star ? '*' : 'DISTINCT'}`);
     }
     
-    // Apply ordering
-    if (orderBy) {
-      results.sort((a, b) => {
-        const aVal = a[orderBy];
-        const bVal = b[orderBy];
-        if (orderDir === 'ASC') {
-          return aVal > bVal ? 1 : aVal < bVal ? -1 : 0;
-        } else {
-          return aVal < bVal ? 1 : aVal > bVal ? -1 : 0;
-        }
+    const [min, max] = name === 'LAG' || name === 'LEAD' ? [1, 3] : [0, 0];
+    if (args.length < min || args.length > max) {
+      throw new Error(max === 0 ? `${name} takes no arguments` : `${name} expects ${min} to ${max} arguments but got ${args.length}`);
+    }
+  }
+
+  // Computes every window function for each row. Rows are split into
+  // partitions and each partition is put in its window's order; the rows
+  // themselves are returned in the order they came in.
+  windowRows(tuples, windows, evaluator) {
+    const results = tuples.map(() => new Map());
+    
+    for (const node of windows) {
+      const { partitionBy, orderBy } = node.over;
+      const partitions = new Map();
+      tuples.forEach((tuple, i) => {
+        const key = JSON.stringify(partitionBy.map(expr => evaluator.evaluate(expr, tuple)));
+        if (!partitions.has(key)) partitions.set(key, []);
+        partitions.get(key).push({ i, keys: orderBy.map(order => evaluator.evaluate(order.expr, tuple)) });
       });
+      
+      for (const members of partitions.values()) {
+        members.sort((a, b) => this.compareKeys(a.keys, b.keys, orderBy));
+        const rows = members.map(member => tuples[member.i]);
+        const peers = (a, b) => this.compareKeys(members[a].keys, members[b].keys, orderBy) === 0;
+        const values = this.windowValues(node, rows, peers, evaluator);
+        members.forEach((member, j) => results[member.i].set(node, values[j]));
+      }
     }
     
-    // Apply limit
-    if (limit) {
-      results = results.slice(0, limit);
+    return tuples.map((tuple, i) => ({ ...tuple, [Evaluator.WINDOWS]: results[i] }));
+  }
+
+  // The value of a window function for each row of one ordered partition.
+  // peers(a, b) tells whether two rows tie on the window's ORDER BY.
+  windowValues(node, rows, peers, evaluator) {
+    switch (node.name) {
+      case 'ROW_NUMBER':
+        return rows.map((row, j) => j + 1);
+      case 'RANK': {
+        let rank = 1;
+        return rows.map((row, j) => {
+          if (j > 0 && !peers(j - 1, j)) rank = j + 1;
+          return rank;
+        });
+      }
+      case 'DENSE_RANK': {
+        let rank = 1;
+        return rows.map((row, j) => {
+          if (j > 0 && !peers(j - 1, j)) rank++;
+          return rank;
+        });
+      }
+      case 'LAG':
+      case 'LEAD':
+        // LAG(expr [, offset [, default]]) reads the row offset rows before; LEAD, after
+        return rows.map((row, j) => {
+          const offset = node.args.length > 1 ? evaluator.evaluate(node.args[1], row) : 1;
+          if (offset === null) return null;
+          if (!Number.isInteger(offset) || offset < 0) {
+            throw new Error(`${node.name} offset must be a non-negative integer but got ${JSON.stringify(offset)}`);
+          }
+          const target = node.name === 'LAG' ? j - offset : j + offset;
+          if (target < 0 || target >= rows.length) {
+            return node.args.length > 2 ? evaluator.evaluate(node.args[2], row) : null;
+          }
+          return evaluator.evaluate(node.args[0], rows[target]);
+        });
     }
     
+    // An aggregate over each row's frame. Without a frame, the frame runs from
+    // the start of the partition to the current row and its peers when the
+    // window is ordered, and is the whole partition when it is not.
+    const frame = node.over.frame || {
+      unit: 'RANGE',
+      start: { offset: null, direction: 'PRECEDING' },
+      end: node.over.orderBy.length > 0 ? { offset: 0, direction: 'CURRENT ROW' } : { offset: null, direction: 'FOLLOWING' }
+    };
+    const last = rows.length - 1;
+    const firstPeer = [];
+    for (let j = 0; j <= last; j++) firstPeer.push(j > 0 && peers(j - 1, j) ? firstPeer[j - 1] : j);
+    const lastPeer = [];
+    for (let j = last; j >= 0; j--) lastPeer[j] = j < last && peers(j, j + 1) ? lastPeer[j + 1] : j;
+    
+    const position = ({ offset, direction }, j, edge) => {
+      if (offset === null) return direction === 'PRECEDING' ? 0 : last;
+      if (direction === 'CURRENT ROW') return frame.unit === 'ROWS' ? j : edge[j];
+      return direction === 'PRECEDING' ? j - offset : j + offset;
+    };
+    
+    const values = node.star ? null : rows.map(row => evaluator.evaluate(node.args[0], row));
+    const cache = new Map();
+    return rows.map((row, j) => {
+      const low = Math.max(position(frame.start, j, firstPeer), 0);
+      const high = Math.min(position(frame.end, j, lastPeer), last);
+      const key = `${low}:${high}`;
+      if (!cache.has(key)) {
+        const count = Math.max(high - low + 1, 0);
+        cache.set(key, node.star ? count : Evaluator.aggregateValues(node, values.slice(low, low + count)));
+      }
+      return cache.get(key);
+    });
+  }
+
+  // ORDER BY an ordered-indexed column with a LIMIT can walk the index in order
+  // and stop as soon as enough rows match, instead of scanning and sorting.
+  // This is chosen when it is expected to read fewer rows than the scan plan.
+  planOrderedScan(statement, sources, evaluator, scan) {
+    if (sources.length === 0 || statement.joins.length > 0 || statement.orderBy.length !== 1 || statement.limit === null || statement.distinct) return null;
+    
+    // The index keeps NULLs before every other key
+    const { expr, direction, nulls } = statement.orderBy[0];
+    if (expr.type !== 'Column' || (nulls && (nulls === 'FIRST') !== (direction === 'ASC'))) return null;
+    
+    const base = sources[0];
+    const index = base.table.indexFor(expr.name, { ordered: true });
+    if (!index || evaluator.resolveSource(expr) !== base.alias) return null;
+    
+    const rows = base.table.storage.length;
+    const selectivity = statement.where ? base.table.planner.selectivity(statement.where) : 1;
+    const wanted = statement.limit + (statement.offset || 0);
+    const visited = Math.min(rows, selectivity > 0 ? wanted / selectivity : rows);
+    const cost = QueryPlanner.round(Math.log2(index.size + 1) + visited * QueryPlanner.ROW_COST);
+    if (cost >= scan.estimatedCost + QueryPlanner.sortCost(scan.estimatedRows)) return null;
+    
     return {
-      success: true,
-      message: `Found ${results.length} record(s)`,
-      data: results
+      operation: 'Index Ordered Scan',
+      table: base.table.name,
+      alias: base.alias !== base.table.name ? base.alias : undefined,
+      index: index.name,
+      direction,
+      filter: statement.where ? Parser.format(statement.where) : undefined,
+      estimatedRows: Math.min(wanted, scan.estimatedRows),
+      estimatedCost: cost,
+      children: [],
+      source: base
     };
   }
 
-  parseCondition(tokens, start) {
-    const column = tokens[start];
-    const operator = tokens[start + 1];
-    const value = tokens[start + 2];
+  orderedScan(node, statement, evaluator) {
+    const { alias, table } = node.source;
+    const tuples = [];
+    for (const position of table.indexes[node.index].range({ reverse: node.direction === 'DESC' })) {
+      const tuple = { [alias]: table.storage.get(position) };
+      if (!statement.where || evaluator.matches(statement.where, tuple)) {
+        tuples.push(tuple);
+        if (tuples.length >= statement.limit + (statement.offset || 0)) break;
+      }
+    }
+    return tuples;
+  }
+
+  // Plans reading and joining the sources and filtering by WHERE
+  planScan(statement, sources, evaluator) {
+    const base = sources[0];
+    
+    // Conditions on the first table alone are handed to its planner (and its
+    // indexes) before joining, unless an outer join could null-fill that table
+    const preservesBase = statement.joins.every(join => join.kind !== 'RIGHT' && join.kind !== 'FULL');
+    const pushed = [];
+    const remaining = [];
+    for (const conjunct of this.splitConjuncts(statement.where)) {
+      const referenced = [...evaluator.referencedSources(conjunct)];
+      if (base && preservesBase && referenced.every(alias => alias === base.alias)) {
+        pushed.push(conjunct);
+      } else {
+        remaining.push(conjunct);
+      }
+    }
+    
+    // Without FROM there is a single row with no columns
+    let plan = base ? this.planAccess(base, this.combineConjuncts(pushed))
+      : { operation: 'Result', estimatedRows: 1, estimatedCost: 0, children: [] };
+    statement.joins.forEach((join, i) => {
+      plan = this.planJoin(plan, join, sources[i + 1], sources, evaluator);
+    });
     
-    let parsedValue = value;
-    if (value.startsWith("'") && value.endsWith("'")) {
-      parsedValue = value.slice(1, -1);
-    } else if (!isNaN(value)) {
-      parsedValue = Number(value);
-    } else if (value === 'TRUE' || value === 'true') {
-      parsedValue = true;
-    } else if (value === 'FALSE' || value === 'false') {
-      parsedValue = false;
-    } else if (value === 'NULL') {
-      parsedValue = null;
+    const where = this.combineConjuncts(remaining);
+    if (where) {
+      plan = {
+        operation: 'Filter',
+        filter: Parser.format(where),
+        expr: where,
+        estimatedRows: Math.round(plan.estimatedRows * this.selectivity(where, sources, evaluator)),
+        estimatedCost: QueryPlanner.round(plan.estimatedCost + plan.estimatedRows * QueryPlanner.ROW_COST),
+        children: [plan]
+      };
     }
     
-    return { [column]: { [operator]: parsedValue } };
+    return plan;
   }
 
-  parseUpdate(tokens, database) {
-    const tableName = tokens[1];
-    const table = database.getTable(tableName);
+  planAccess(source, where) {
+    const plan = source.table.plan(this.parseCondition(where));
+    plan.source = source;
+    if (source.alias !== source.table.name) plan.alias = source.alias;
+    return plan;
+  }
+
+  // Joins use a nested loop; an equality on a column leading an index of the
+  // joined table turns each inner scan into an index lookup
+  planJoin(outer, join, source, sources, evaluator) {
+    const rows = source.table.storage.length;
+    const indexed = join.kind === 'CROSS' ? null : this.indexedJoinColumn(join.on, source, evaluator);
     
-    if (tokens[2]?.toUpperCase() !== 'SET') {
-      throw new Error('Expected SET after table name');
+    let inner;
+    let perRow;
+    if (indexed) {
+      const index = source.table.indexFor(indexed.column.name);
+      perRow = rows / source.table.planner.distinctValues(indexed.column.name);
+      inner = {
+        operation: 'Index Scan',
+        table: source.table.name,
+        index: index.name,
+        method: index.type,
+        condition: `${Parser.format(indexed.column)} = ${Parser.format(indexed.other)}`,
+        estimatedRows: Math.round(perRow),
+        estimatedCost: QueryPlanner.round(1 + perRow * QueryPlanner.ROW_COST),
+        children: []
+      };
+    } else {
+      perRow = rows;
+      inner = {
+        operation: 'Seq Scan',
+        table: source.table.name,
+        estimatedRows: rows,
+        estimatedCost: rows * QueryPlanner.ROW_COST,
+        children: []
+      };
     }
+    if (source.alias !== source.table.name) inner.alias = source.alias;
     
-    let i = 3;
-    const updates = {};
+    let estimatedRows = outer.estimatedRows * rows;
+    if (join.kind !== 'CROSS') {
+      estimatedRows *= this.selectivity(join.on, sources, evaluator);
+      if (join.kind === 'LEFT' || join.kind === 'FULL') estimatedRows = Math.max(estimatedRows, outer.estimatedRows);
+      if (join.kind === 'RIGHT' || join.kind === 'FULL') estimatedRows = Math.max(estimatedRows, rows);
+    }
+    
+    return {
+      operation: 'Nested Loop Join',
+      kind: join.kind,
+      condition: join.on ? Parser.format(join.on) : undefined,
+      estimatedRows: Math.round(estimatedRows),
+      estimatedCost: QueryPlanner.round(outer.estimatedCost + outer.estimatedRows * inner.estimatedCost),
+      children: [outer, inner],
+      join,
+      source,
+      indexed
+    };
+  }
+
+  joinSource(tuples, node, evaluator) {
+    const { join, source, indexed } = node;
+    const inner = node.children[1];
+    const rows = source.table.storage;
+    const started = process.hrtime.bigint();
+    let fetched = 0;
     
-    // Parse SET clause
-    while (i < tokens.length && tokens[i]?.toUpperCase() !== 'WHERE') {
-      const column = tokens[i++];
-      if (tokens[i] !== '=') throw new Error('Expected = after column name');
-      i++;
+    const results = [];
+    if (join.kind === 'CROSS') {
+      for (const tuple of tuples) {
+        for (const row of rows) results.push({ ...tuple, [source.alias]: row });
+      }
+      fetched = tuples.length * rows.length;
+    } else {
+      const allPositions = Array.from({ length: rows.length }, (row, i) => i);
+      const matchedRight = new Set();
       
-      let value = tokens[i++];
-      if (value.startsWith("'") && value.endsWith("'")) {
-        value = value.slice(1, -1);
-      } else if (!isNaN(value)) {
-        value = Number(value);
-      } else if (value === 'TRUE' || value === 'true') {
-        value = true;
-      } else if (value === 'FALSE' || value === 'false') {
-        value = false;
-      } else if (value === 'NULL') {
-        value = null;
+      for (const tuple of tuples) {
+        let matched = false;
+        let candidates = allPositions;
+        if (indexed) {
+          const key = evaluator.evaluate(indexed.other, tuple);
+          candidates = key === null ? [] : source.table.lookup(indexed.column.name, key);
+        }
+        fetched += candidates.length;
+        
+        for (const position of candidates) {
+          const combined = { ...tuple, [source.alias]: rows.get(position) };
+          if (evaluator.matches(join.on, combined)) {
+            results.push(combined);
+            matchedRight.add(position);
+            matched = true;
+          }
+        }
+        
+        if (!matched && (join.kind === 'LEFT' || join.kind === 'FULL')) {
+          results.push({ ...tuple, [source.alias]: null });
+        }
       }
       
-      updates[column] = value;
-      if (tokens[i] === ',') i++;
+      // Right rows without a partner get nulls for every table joined so far
+      if (join.kind === 'RIGHT' || join.kind === 'FULL') {
+        for (let position = 0; position < rows.length; position++) {
+          if (!matchedRight.has(position)) results.push({ [source.alias]: rows.get(position) });
+        }
+      }
+    }
+    
+    inner.loops = tuples.length;
+    inner.actualRows = fetched;
+    inner.actualTime = Number(process.hrtime.bigint() - started) / 1e6;
+    return results;
+  }
+
+  // Finds an equality in the ON clause between a column leading an index of
+  // the joined table and an expression over the tables joined before it
+  indexedJoinColumn(on, source, evaluator) {
+    for (const conjunct of this.splitConjuncts(on)) {
+      if (conjunct.type !== 'Binary' || conjunct.operator !== '=') continue;
+      
+      for (const [column, other] of [[conjunct.left, conjunct.right], [conjunct.right, conjunct.left]]) {
+        if (column.type !== 'Column' || evaluator.resolveSource(column) !== source.alias) continue;
+        
+        if (!source.table.indexFor(column.name) || evaluator.referencedSources(other).has(source.alias)) continue;
+        
+        return { column, other };
+      }
     }
     
-    // Parse WHERE clause
-    let conditions = {};
-    if (i < tokens.length && tokens[i]?.toUpperCase() === 'WHERE') {
-      i++;
-      conditions = this.parseCondition(tokens, i);
+    return null;
+  }
+
+  // Estimated fraction of tuples satisfying expr: conditions on one table use
+  // its statistics, and an equality between two tables' columns matches one
+  // in as many rows as the larger number of distinct values
+  selectivity(expr, sources, evaluator) {
+    let selectivity = 1;
+    for (const conjunct of this.splitConjuncts(expr)) {
+      const referenced = [...evaluator.referencedSources(conjunct)];
+      if (referenced.length === 1) {
+        selectivity *= sources.find(source => source.alias === referenced[0]).table.planner.selectivity(conjunct);
+      } else if (conjunct.type === 'Binary' && conjunct.operator === '=' &&
+                 conjunct.left.type === 'Column' && conjunct.right.type === 'Column') {
+        selectivity /= Math.max(
+          this.distinctValues(conjunct.left, sources, evaluator),
+          this.distinctValues(conjunct.right, sources, evaluator)
+        );
+      } else {
+        selectivity *= QueryPlanner.DEFAULT_SELECTIVITY;
+      }
+    }
+    return selectivity;
+  }
+
+  distinctValues(column, sources, evaluator) {
+    const alias = evaluator.resolveSource(column);
+    return sources.find(source => source.alias === alias).table.planner.distinctValues(column.name);
+  }
+
+  splitConjuncts(expr) {
+    if (!expr) return [];
+    if (expr.type === 'Binary' && expr.operator === 'AND') {
+      return [...this.splitConjuncts(expr.left), ...this.splitConjuncts(expr.right)];
     }
+    return [expr];
+  }
+
+  combineConjuncts(conjuncts) {
+    return conjuncts.reduce((left, right) => left ? { type: 'Binary', operator: 'AND', left, right } : right, null);
+  }
+
+  // Wraps a WHERE expression in the condition format used by Table.find
+  parseCondition(where) {
+    return where ? { $expr: where } : {};
+  }
+
+  // SET expressions see each row as it was before the statement changed it
+  parseUpdate(statement, database, plan = null) {
+    const table = database.getTable(statement.table);
+    const target = this.prepareTarget(statement, table, database);
     
-    const affected = table.update(conditions, updates);
-    return {
+    const updates = row => {
+      const values = {};
+      for (const assignment of statement.assignments) {
+        values[assignment.column] = target.evaluator.evaluate(assignment.value, { [table.name]: row });
+      }
+      return values;
+    };
+    
+    const conditions = this.parseCondition(statement.where);
+    
+    const rows = table.updateReturning(conditions, updates, plan);
+    const result = {
       success: true,
-      message: `Updated ${affected} record(s)`
+      message: `Updated ${rows.length} record(s)`
     };
+    if (statement.returning) result.data = this.returningRows(target, rows);
+    return result;
   }
 
-  parseDelete(tokens, database) {
-    if (tokens[1]?.toUpperCase() !== 'FROM') {
-      throw new Error('Expected FROM after DELETE');
-    }
+  parseDelete(statement, database, plan = null) {
+    const table = database.getTable(statement.table);
+    const target = this.prepareTarget(statement, table, database);
+    const conditions = this.parseCondition(statement.where);
     
-    const tableName = tokens[2];
-    const table = database.getTable(tableName);
+    const rows = table.deleteReturning(conditions, plan);
+    const result = {
+      success: true,
+      message: `Deleted ${rows.length} record(s)`
+    };
+    if (statement.returning) result.data = this.returningRows(target, rows);
+    return result;
+  }
+
+  // INSERT, UPDATE and DELETE evaluate their expressions against the one table
+  // they change; subqueries in them may read its columns. Returns the
+  // evaluator, whose rows are keyed by the table name, and the RETURNING columns.
+  prepareTarget(statement, table, database) {
+    const sources = [{ alias: table.name, table, columns: Object.keys(table.schema) }];
+    const evaluator = new Evaluator({ sources, functions: database.functions });
+    const columns = statement.returning ? this.selectColumns(statement.returning, sources) : [];
+    const expressions = [
+      ...(statement.assignments || []).map(assignment => assignment.value),
+      ...columns.map(column => column.expr)
+    ];
+    
+    Evaluator.walk(expressions, node => {
+      if (node.type === 'Column') evaluator.resolveSource(node);
+    });
+    this.prepareSubqueries([statement.where, ...expressions].filter(Boolean), evaluator, database, {});
+    return { evaluator, columns };
+  }
+
+  // The RETURNING list computed for each changed row
+  returningRows({ evaluator, columns }, rows) {
+    const alias = evaluator.sources[0].alias;
+    return rows.map(row => {
+      const selected = {};
+      for (const column of columns) {
+        selected[column.key] = evaluator.evaluate(column.expr, { [alias]: row });
+      }
+      return selected;
+    });
+  }
+
+  parseCreateView(statement, database) {
+    database.createView(statement.name, statement.sql, {
+      columns: statement.columns,
+      materialized: statement.materialized,
+      replace: statement.replace
+    });
+    const kind = statement.materialized ? 'Materialized view' : 'View';
+    return { success: true, message: `${kind} ${statement.name} created` };
+  }
+
+  parseDropView(statement, database) {
+    database.dropView(statement.name, { materialized: statement.materialized });
+    const kind = statement.materialized ? 'Materialized view' : 'View';
+    return { success: true, message: `${kind} ${statement.name} dropped` };
+  }
+
+  parseRefreshView(statement, database) {
+    const count = database.refreshMaterializedView(statement.name);
+    return { success: true, message: `Materialized view ${statement.name} refreshed with ${count} row(s)` };
+  }
+
+  parseCreateSequence(statement, database) {
+    database.createSequence(statement.name, { start: statement.start, increment: statement.increment });
+    return { success: true, message: `Sequence ${statement.name} created` };
+  }
+
+  parseDropSequence(statement, database) {
+    database.dropSequence(statement.name);
+    return { success: true, message: `Sequence ${statement.name} dropped` };
+  }
+
+  // Returns the plan of a SELECT, UPDATE or DELETE as indented lines and as a
+  // tree. EXPLAIN ANALYZE also runs the statement (UPDATE and DELETE do change
+  // the table) and adds the actual rows and time of every step.
+  parseExplain(statement, database) {
+    const target = statement.statement;
+    let plan;
+    let run;
     
-    let conditions = {};
-    if (tokens.length > 3 && tokens[3]?.toUpperCase() === 'WHERE') {
-      conditions = this.parseCondition(tokens, 4);
+    if (target.type === 'Select') {
+      const query = this.planSelect(target, database);
+      plan = query.plan;
+      run = () => this.runSelect(query);
+    } else {
+      const table = database.getTable(target.table);
+      const access = table.plan(this.parseCondition(target.where));
+      plan = {
+        operation: target.type,
+        table: table.name,
+        estimatedRows: access.estimatedRows,
+        estimatedCost: access.estimatedCost,
+        children: [access]
+      };
+      run = () => {
+        const result = target.type === 'Update'
+          ? this.parseUpdate(target, database, access)
+          : this.parseDelete(target, database, access);
+        plan.actualRows = access.actualRows;
+        return result;
+      };
     }
     
-    const affected = table.delete(conditions);
-    return {
+    const lines = [];
+    let executionTime;
+    if (statement.analyze) {
+      const started = process.hrtime.bigint();
+      run();
+      executionTime = Number(process.hrtime.bigint() - started) / 1e6;
+      if (target.type !== 'Select') plan.actualTime = executionTime;
+    }
+    
+    this.describePlan(plan, statement.analyze, 0, lines);
+    if (statement.analyze) lines.push(`Execution Time: ${executionTime.toFixed(3)} ms`);
+    
+    const result = {
       success: true,
-      message: `Deleted ${affected} record(s)`
+      message: 'Query plan',
+      data: lines.map(line => ({ 'QUERY PLAN': line })),
+      plan: this.planTree(plan, statement.analyze)
     };
+    if (statement.analyze) result.executionTime = executionTime;
+    return result;
   }
 
-  parseDrop(tokens, database) {
-    if (tokens[1]?.toUpperCase() !== 'TABLE') {
-      throw new Error('Expected TABLE after DROP');
+  describePlan(node, analyze, depth, lines) {
+    const indent = depth === 0 ? '' : `${'  '.repeat(depth * 2 - 1)}-> `;
+    const detail = '  '.repeat(depth * 2) + (depth === 0 ? '  ' : '     ');
+    
+    let title = node.operation;
+    if (node.kind && node.kind !== 'INNER') title = `${node.kind} ${title}`;
+    if (node.index) title += ` using ${node.index}`;
+    if (node.table) title += ` on ${node.table}${node.alias ? ` ${node.alias}` : ''}`;
+    if (node.direction) title += ` ${node.direction}`;
+    
+    let line = `${indent}${title}  (cost=${node.estimatedCost} rows=${node.estimatedRows})`;
+    if (analyze) {
+      line += node.actualRows === undefined
+        ? ' (never executed)'
+        : ` (actual rows=${node.actualRows}${node.loops !== undefined ? ` loops=${node.loops}` : ''} time=${node.actualTime.toFixed(3)} ms)`;
     }
+    lines.push(line);
     
-    const tableName = tokens[2];
-    database.dropTable(tableName);
+    if (node.condition) lines.push(`${detail}${node.index ? 'Index Cond' : 'Join Cond'}: ${node.condition}`);
+    if (node.keys && node.keys.length > 0) lines.push(`${detail}${node.operation === 'Sort' ? 'Sort Key' : 'Group Key'}: ${node.keys.join(', ')}`);
+    if (node.windows) lines.push(`${detail}Window: ${node.windows.join(', ')}`);
+    if (node.filter) lines.push(`${detail}Filter: ${node.filter}`);
+    
+    node.children.forEach(child => this.describePlan(child, analyze, depth + 1, lines));
+  }
+
+  // Copies the fields of a plan meant for readers, leaving out execution state
+  planTree(node, analyze) {
+    const fields = ['operation', 'kind', 'table', 'alias', 'index', 'method', 'direction', 'condition', 'keys', 'windows', 'filter', 'limit', 'offset', 'estimatedRows', 'estimatedCost'];
+    if (analyze) fields.push('actualRows', 'loops', 'actualTime');
+    
+    const tree = {};
+    for (const field of fields) {
+      if (node[field] !== undefined) tree[field] = node[field];
+    }
+    tree.children = node.children.map(child => this.planTree(child, analyze));
+    return tree;
+  }
+
+  // Collects planner statistics for one table or every table
+  parseAnalyze(statement, database) {
+    const tables = database.analyze(statement.table);
+    const data = [];
+    for (const table of tables) {
+      for (const [column, stats] of Object.entries(table.statistics.columns)) {
+        data.push({ table: table.name, column, rows: table.statistics.rows, distinct: stats.distinct, nullFraction: stats.nullFraction });
+      }
+    }
+    return { success: true, message: `Analyzed ${tables.length} table(s)`, data };
+  }
+
+  parseTransaction(statement, database) {
+    switch (statement.type) {
+      case 'Begin':
+        database.beginTransaction();
+        return { success: true, message: 'Transaction started' };
+      case 'Commit':
+        database.commit();
+        return { success: true, message: 'Transaction committed' };
+      case 'Rollback':
+        if (statement.savepoint) {
+          database.rollbackTo(statement.savepoint);
+          return { success: true, message: `Rolled back to savepoint ${statement.savepoint}` };
+        }
+        database.rollback();
+        return { success: true, message: 'Transaction rolled back' };
+      case 'Savepoint':
+        database.savepoint(statement.name);
+        return { success: true, message: `Savepoint ${statement.name} created` };
+      case 'Release':
+        database.releaseSavepoint(statement.name);
+        return { success: true, message: `Savepoint ${statement.name} released` };
+    }
+  }
+
+  parseDrop(statement, database) {
+    database.dropTable(statement.table);
     return {
       success: true,
-      message: `Table ${tableName} dropped`
+      message: `Table ${statement.table} dropped`
     };
   }
 }
 
-module.exports = SQLParser;
\ No newline at end of file
+module.exports = SQLParser;
@@ -1,37 +1,141 @@
-const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const Evaluator = require('./Evaluator.js');
+const Parser = require('./Parser.js');
+const DataType = require('./DataType.js');
+const IndexKey = require('./IndexKey.js');
+const HashIndex = require('./HashIndex.js');
+const BTreeIndex = require('./BTreeIndex.js');
+const QueryPlanner = require('./QueryPlanner.js');
+const JsonStorage = require('./JsonStorage.js');
+const PagedStorage = require('./PagedStorage.js');
+const FileSystemAdapter = require('./FileSystemAdapter.js');
+
+const INDEX_TYPES = { hash: HashIndex, btree: BTreeIndex };
+
+// Storage engines, chosen per table by $engine in its schema
+const STORAGE_ENGINES = { json: JsonStorage, paged: PagedStorage };
+
+const REFERENTIAL_ACTIONS = ['RESTRICT', 'NO ACTION', 'CASCADE', 'SET NULL'];
+
+// Named formats accepted by the `format` column validator
+const FORMATS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  url: /^https?:\/\/[^\s/?#]+[^\s]*$/i,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  alphanumeric: /^[a-z0-9]+$/i
+};
 
 class Table {
-  constructor(name, schema, dataDir) {
+  // Without a dataDir the table only lives in memory, as the rows of a view
+  // do while a query reads them. options.adapter is the storage adapter its
+  // files go through and options.bufferPool the pool paged tables read their
+  // pages through.
+  constructor(name, schema, dataDir, options = {}) {
     this.name = name;
+    this.dataDir = dataDir;
+    this.adapter = options.adapter || new FileSystemAdapter();
+    this.bufferPool = options.bufferPool;
+    this.evaluator = new Evaluator();
+    this.planner = new QueryPlanner(this);
+    this.transaction = null;
+    this.journal = null;
+    this.database = null;
+    this.open(schema);
+  }
+
+  // Reads the table from its files. Database#reload calls it again on the same
+  // object when another process has changed them.
+  open(schema) {
     this.schema = this.normalizeSchema(schema);
-    this.filePath = path.join(dataDir, `${name}.json`);
-    this.indexPath = path.join(dataDir, `${name}_index.json`);
-    this.data = [];
+    this.engine = schema.$engine || 'json';
+    const Storage = STORAGE_ENGINES[this.engine];
+    if (!Storage) {
+      throw new Error(`Unknown storage engine '${this.engine}'; use ${Object.keys(STORAGE_ENGINES).join(' or ')}`);
+    }
+    const dataDir = this.dataDir;
+    this.storage = new Storage(dataDir ? path.join(dataDir, `${this.name}${Storage.extension}`) : null, {
+      revive: row => this.reviveRow(row),
+      bufferPool: this.bufferPool,
+      adapter: this.adapter
+    });
+    this.indexPath = dataDir ? path.join(dataDir, `${this.name}_index.json`) : null;
+    this.entriesPath = dataDir ? path.join(dataDir, `${this.name}_entries.json`) : null;
+    this.statsPath = dataDir ? path.join(dataDir, `${this.name}_stats.json`) : null;
+    this.autoIncrement = {};
     this.indexes = {};
+    this.statistics = null;
+    this.readOnly = false;
+    this.lsn = 0;
+    this.saveId = null;
+    this.dirty = false;
     this.primaryKey = this.findPrimaryKey();
+    this.checks = this.normalizeChecks(schema.$checks);
     
+    // Neither the counters nor the indexes need the rows to be read here
     this.load();
+    this.syncAutoIncrement(true);
     this.loadIndexes();
+    this.loadStatistics();
+    this.pendingIndexes = true;
     
-    if (this.primaryKey && !this.indexes[this.primaryKey]) {
+    if (this.primaryKey && !this.indexMap[this.primaryKey]) {
       this.createIndex(this.primaryKey);
     }
   }
 
+  // Reads the table again in place, so references to it stay valid
+  reload(schema) {
+    this.storage.close();
+    this.open(schema);
+  }
+
+  // Keys starting with $ hold table-level settings such as $checks and $engine
   normalizeSchema(schema) {
     const normalized = {};
     for (const column in schema) {
+      if (column.startsWith('$')) continue;
+      
+      // Type names and aliases are stored by their canonical name; unknown
+      // names from older schemas are kept and left untyped
+      const type = schema[column].type || 'string';
       normalized[column] = {
-        type: schema[column].type || 'string',
+        type: DataType.lookup(type) || type,
+        length: schema[column].length,
+        precision: schema[column].precision,
+        scale: schema[column].scale,
         required: schema[column].required || false,
         primaryKey: schema[column].primaryKey || false,
         unique: schema[column].unique || false,
         autoIncrement: schema[column].autoIncrement || false,
         defaultValue: schema[column].defaultValue,
-        foreignKey: schema[column].foreignKey || null
+        foreignKey: this.normalizeForeignKey(schema[column].foreignKey),
+        pattern: schema[column].pattern instanceof RegExp ? schema[column].pattern.source : schema[column].pattern,
+        format: schema[column].format,
+        min: schema[column].min,
+        max: schema[column].max,
+        minLength: schema[column].minLength,
+        maxLength: schema[column].maxLength
       };
       
+      if (normalized[column].defaultValue !== undefined) {
+        try {
+          normalized[column].defaultValue = DataType.cast(normalized[column].defaultValue, normalized[column]);
+        } catch (error) {
+          throw new Error(`Invalid default for '${column}': ${error.message}`);
+        }
+      }
+      if (normalized[column].format !== undefined && !FORMATS[normalized[column].format]) {
+        throw new Error(`Unknown format '${normalized[column].format}' for column '${column}'`);
+      }
+      if (normalized[column].pattern !== undefined) {
+        try {
+          new RegExp(normalized[column].pattern);
+        } catch (error) {
+          throw new Error(`Invalid pattern for column '${column}': ${error.message}`);
+        }
+      }
+      
       if (normalized[column].primaryKey) {
         normalized[column].required = true;
         normalized[column].unique = true;
@@ -40,6 +144,79 @@ class Table {
     return normalized;
   }
 
+  // { table, column, onDelete, onUpdate } where the actions are RESTRICT
+  // (the default), CASCADE or SET NULL
+  normalizeForeignKey(foreignKey) {
+    if (!foreignKey) return null;
+    
+    const normalized = { table: foreignKey.table, column: foreignKey.column || null };
+    for (const event of ['onDelete', 'onUpdate']) {
+      const action = (foreignKey[event] || 'RESTRICT').toUpperCase().replace('_', ' ');
+      if (!REFERENTIAL_ACTIONS.includes(action)) {
+        throw new Error(`Unknown foreign key action '${foreignKey[event]}'`);
+      }
+      normalized[event] = action === 'NO ACTION' ? 'RESTRICT' : action;
+    }
+    return normalized;
+  }
+
+  // CHECK constraints are stored as [{ name, expression }] with the expression
+  // in SQL, e.g. 'start_date < end_date'. Unnamed ones are called
+  // <table>_<column>_check when they belong to a column, else <table>_check.
+  normalizeChecks(checks = [], schema = this.schema) {
+    const normalized = [];
+    
+    for (const check of checks) {
+      const expr = Parser.parseExpression(typeof check === 'string' ? check : check.expression);
+      Evaluator.walk(expr, node => {
+        if (node.type === 'Column' && !schema[node.name]) {
+          throw new Error(`Unknown column '${node.name}' in CHECK constraint`);
+        }
+        if (Evaluator.isAggregate(node)) {
+          throw new Error('Aggregate functions are not allowed in CHECK constraints');
+        }
+        if (Evaluator.isWindow(node)) {
+          throw new Error('Window functions are not allowed in CHECK constraints');
+        }
+        if (Evaluator.isSubquery(node)) {
+          throw new Error('Subqueries are not allowed in CHECK constraints');
+        }
+      });
+      
+      let name = check.name;
+      if (name && normalized.some(other => other.name === name)) {
+        throw new Error(`Constraint '${name}' is defined more than once`);
+      }
+      if (!name) {
+        const base = check.column ? `${this.name}_${check.column}_check` : `${this.name}_check`;
+        name = base;
+        for (let i = 1; normalized.some(other => other.name === name); i++) name = `${base}${i}`;
+      }
+      
+      normalized.push({ name, expression: Parser.format(expr), expr });
+    }
+    return normalized;
+  }
+
+  // The columns a CHECK expression reads
+  checkColumns(expression) {
+    const columns = [];
+    Evaluator.walk(Parser.parseExpression(expression), node => {
+      if (node.type === 'Column') columns.push(node.name);
+    });
+    return columns;
+  }
+
+  // The schema as stored in <table>_schema.json
+  serializeSchema() {
+    const schema = { ...this.schema };
+    if (this.checks.length > 0) {
+      schema.$checks = this.checks.map(({ name, expression }) => ({ name, expression }));
+    }
+    if (this.engine !== 'json') schema.$engine = this.engine;
+    return schema;
+  }
+
   findPrimaryKey() {
     for (const column in this.schema) {
       if (this.schema[column].primaryKey) return column;
@@ -47,35 +224,23 @@ class Table {
     return null;
   }
 
+  // type is a type name or a column definition ({ type, length, precision, scale })
   validateType(value, type) {
-    if (value === null || value === undefined) return true;
-    
-    switch(type) {
-      case 'string': return typeof value === 'string';
-      case 'number': return typeof value === 'number' && !isNaN(value);
-      case 'boolean': return typeof value === 'boolean';
-      case 'date': return !isNaN(Date.parse(value));
-      case 'object': return typeof value === 'object' && !Array.isArray(value);
-      case 'array': return Array.isArray(value);
-      default: return true;
+    try {
+      DataType.assign(value, typeof type === 'string' ? { type } : type);
+      return true;
+    } catch (error) {
+      return false;
     }
   }
 
+  // Converts a value to a column type, throwing when it cannot be represented
   coerceValue(value, type) {
-    if (value === null || value === undefined) return value;
-    
-    switch(type) {
-      case 'string': return String(value);
-      case 'number': 
-        const num = Number(value);
-        return isNaN(num) ? null : num;
-      case 'boolean': return Boolean(value);
-      case 'date': return new Date(value);
-      default: return value;
-    }
+    return DataType.cast(value, typeof type === 'string' ? { type } : type);
   }
 
-  validateRecord(record) {
+  // position is the row being replaced on update, so it does not conflict with itself
+  validateRecord(record, position = -1) {
     const errors = [];
     const result = {};
     
@@ -93,30 +258,58 @@ class Table {
         continue;
       }
       
-      // Apply default
-      if (!hasValue && def.defaultValue !== undefined) {
-        result[column] = this.coerceValue(def.defaultValue, def.type);
-        continue;
+      // Apply default; it is checked below like a value that was given
+      const defaulted = !hasValue && def.defaultValue !== undefined;
+      if (defaulted) {
+        result[column] = this.coerceValue(def.defaultValue, def);
+      } else {
+        // Skip if no value and not required
+        if (!hasValue) continue;
+        
+        // Type validation and coercion
+        try {
+          result[column] = DataType.assign(value, def);
+        } catch (error) {
+          errors.push(`Invalid value for '${column}': ${error.message}`);
+          continue;
+        }
       }
       
-      // Skip if no value and not required
-      if (!hasValue) continue;
+      // Unique check
+      if (def.unique && result[column] !== null) {
+        const existing = this.findIndices({ [column]: result[column] });
+        if (existing.some(i => i !== position)) {
+          errors.push(`Duplicate value for unique column '${column}'`);
+        }
+      }
       
-      // Type validation
-      if (!this.validateType(value, def.type)) {
-        errors.push(`Invalid type for '${column}': expected ${def.type}`);
+      // Validators
+      const violation = this.checkValidators(column, def, result[column]);
+      if (violation) {
+        errors.push(violation);
         continue;
       }
       
-      // Coerce value
-      result[column] = this.coerceValue(value, def.type);
-      
-      // Unique check
-      if (def.unique && this.indexes[column]) {
-        const existing = this.findOne({ [column]: result[column] });
-        if (existing && existing[this.primaryKey] !== record[this.primaryKey]) {
-          errors.push(`Duplicate value for unique column '${column}'`);
-        }
+      // Foreign key check
+      if (def.foreignKey && result[column] !== null && !this.referencedRowExists(def.foreignKey, result[column])) {
+        errors.push(`Foreign key violation: '${column}' = ${JSON.stringify(result[column])} ` +
+          `has no matching row in '${def.foreignKey.table}'`);
+      }
+    }
+    
+    // CHECK constraints only fail when FALSE; NULL (unknown) passes
+    for (const check of this.checks) {
+      if (this.evaluator.evaluate(check.expr, result) === false) {
+        errors.push(`CHECK constraint '${check.name}' failed`);
+      }
+    }
+    
+    // Unique indexes
+    for (const index of Object.values(this.indexes)) {
+      if (!index.unique) continue;
+      const key = this.uniqueKey(index, { ...record, ...result });
+      if (key !== null && index.get(key).some(i => i !== position)) {
+        errors.push(`Duplicate value for unique index '${index.name}'`);
       }
     }
     
@@ -127,85 +320,275 @@ class Table {
     return result;
   }
 
+  // Returns a message naming the failed validator, or null
+  checkValidators(column, def, value) {
+    if (value === null || value === undefined) return null;
+    
+    if (def.min !== undefined && Evaluator.compareValues(value, def.min) < 0) {
+      return `Constraint 'min' failed for '${column}': must be at least ${def.min}`;
+    }
+    if (def.max !== undefined && Evaluator.compareValues(value, def.max) > 0) {
+      return `Constraint 'max' failed for '${column}': must be at most ${def.max}`;
+    }
+    if (typeof value === 'string') {
+      if (def.minLength !== undefined && value.length < def.minLength) {
+        return `Constraint 'minLength' failed for '${column}': must be at least ${def.minLength} characters`;
+      }
+      if (def.maxLength !== undefined && value.length > def.maxLength) {
+        return `Constraint 'maxLength' failed for '${column}': must be at most ${def.maxLength} characters`;
+      }
+    }
+    if (def.pattern !== undefined && !new RegExp(def.pattern).test(String(value))) {
+      return `Constraint 'pattern' failed for '${column}': must match /${def.pattern}/`;
+    }
+    if (def.format !== undefined && !FORMATS[def.format].test(String(value))) {
+      return `Constraint 'format' failed for '${column}': must be a valid ${def.format}`;
+    }
+    return null;
+  }
+
+  // Runs fn under the database's shared or write lock (see Database#read and
+  // Database#write), so calls made on the table directly are safe from other
+  // processes too
+  locked(mode, fn) {
+    if (!this.database) return fn();
+    return mode === 'shared' ? this.database.read(fn) : this.database.write(fn);
+  }
+
+  // Materialized views only change through REFRESH MATERIALIZED VIEW
+  checkWritable() {
+    if (this.readOnly) {
+      throw new Error(`Materialized view '${this.name}' is read-only; use REFRESH MATERIALIZED VIEW`);
+    }
+  }
+
   insert(record) {
-    const validated = this.validateRecord(record);
+    return { ...this.insertRows([record])[0].row };
+  }
+
+  // Inserts every record or, when one of them fails, none; the rows are
+  // persisted together
+  insertMany(records) {
+    return this.insertRows(records).map(change => ({ ...change.row }));
+  }
+
+  // Inserts the record, or updates the row that already holds its values in
+  // the conflict columns (a primary key or unique constraint). updates are
+  // the values to change in that row, by default the record's own, or a
+  // function given the row and the record; null leaves the row alone.
+  // Returns the inserted or updated row, or null when nothing changed.
+  upsert(record, conflictColumns, updates = record) {
+    const [change] = this.insertRows([record], { columns: conflictColumns, updates });
+    return change ? { ...change.row } : null;
+  }
+
+  // Inserts the records as one statement and returns the changes made. With
+  // onConflict ({ columns, updates }), a record that matches an existing row
+  // on columns updates it instead, as upsert does; without columns, records
+  // conflicting with any unique constraint are skipped.
+  insertRows(records, onConflict = null) {
+    return this.locked('write', () => {
+      this.checkWritable();
+      const conflict = onConflict && this.conflictTarget(onConflict);
+      const references = conflict && conflict.updates ? this.referencingColumns() : [];
+      if (references.length === 0) {
+        return this.applyInserts(records, conflict);
+      }
+      
+      return this.database.transaction(() => {
+        const changes = this.applyInserts(records, conflict);
+        this.applyReferentialActions(references, changes.filter(change => change.op === 'update'), 'onUpdate');
+        return changes;
+      });
+    });
+  }
+
+  applyInserts(records, conflict) {
+    const changes = [];
+    const generated = [];
     
-    // Handle auto-increment
-    for (const column in this.schema) {
-      if (this.schema[column].autoIncrement && !(column in validated)) {
-        const max = this.data.reduce((max, row) => 
-          Math.max(max, row[column] || 0), 0);
-        validated[column] = max + 1;
+    // Later records see the rows added before them; if any fails, the rows
+    // already changed are restored
+    try {
+      for (const record of records) {
+        const position = conflict ? this.conflictingRow(record, conflict.targets) : -1;
+        if (position === -1) {
+          changes.push(this.insertRow(record, generated));
+          continue;
+        }
+        
+        const { updates } = conflict;
+        if (!updates) continue;
+        const values = typeof updates === 'function' ? updates({ ...this.storage.get(position) }, record) : updates;
+        changes.push(this.updateRow(position, values));
       }
+    } catch (error) {
+      this.undoChanges(changes);
+      throw error;
     }
     
-    this.data.push(validated);
-    const index = this.data.length - 1;
+    if (changes.length > 0) {
+      this.persist(changes);
+    }
+    
+    // LAST_INSERT_ID() gives the first value generated by the latest INSERT that generated any
+    if (generated.length > 0 && this.database) {
+      this.database.lastInsertId = generated[0];
+    }
+    return changes;
+  }
+
+  // Adds the values it generates for AUTO_INCREMENT columns to generated
+  insertRow(record, generated = []) {
+    const validated = this.validateRecord(record);
     
-    // Update indexes
-    for (const col in this.indexes) {
-      const value = validated[col];
-      if (value !== undefined) {
-        if (!this.indexes[col][value]) this.indexes[col][value] = [];
-        this.indexes[col][value].push(index);
+    for (const column in this.autoIncrement) {
+      if (!(column in validated)) {
+        validated[column] = this.autoIncrement[column];
+        generated.push(validated[column]);
       }
     }
+    this.advanceAutoIncrement(validated);
     
-    this.save();
-    this.saveIndexes();
-    return { ...validated };
+    const position = this.storage.push(validated);
+    this.addToIndexes(validated, position);
+    return { op: 'insert', position, row: validated };
   }
 
-  find(conditions = {}) {
-    if (Object.keys(conditions).length === 0) {
-      return this.data.map(r => ({ ...r }));
+  // The column sets conflicts are looked for on: the given columns, which must
+  // be a primary key or unique constraint, or else every unique constraint
+  conflictTarget({ columns = null, updates = null }) {
+    const constraints = Object.keys(this.schema)
+      .filter(column => this.schema[column].unique)
+      .map(column => [column]);
+    for (const index of Object.values(this.indexes)) {
+      if (index.unique) constraints.push(index.columns);
     }
     
-    // Try indexed search
-    const keys = Object.keys(conditions);
-    if (keys.length === 1 && this.indexes[keys[0]]) {
-      const col = keys[0];
-      const value = conditions[col];
-      const indices = this.indexes[col][value];
-      if (indices) {
-        return indices.map(i => ({ ...this.data[i] }));
-      }
-      return [];
+    if (!columns) {
+      if (updates) throw new Error('Updating on conflict needs the conflict columns');
+      return { targets: constraints, updates };
     }
     
-    // Full scan with operator support
-    return this.data.filter(record => {
-      for (const key in conditions) {
-        const condition = conditions[key];
-        
-        if (typeof condition === 'object') {
-          // Handle operators
-          for (const op in condition) {
-            const val = condition[op];
-            if (!this.compare(record[key], op, val)) return false;
-          }
-        } else {
-          // Simple equality
-          if (record[key] !== condition) return false;
+    const matches = constraint => constraint.length === columns.length && columns.every(column => constraint.includes(column));
+    if (!constraints.some(matches)) {
+      throw new Error(`No primary key or unique constraint on '${this.name}' matches the conflict columns (${columns.join(', ')})`);
+    }
+    return { targets: [columns], updates };
+  }
+
+  // Position of the row that holds the record's values in one of the column
+  // sets, or -1. NULLs never conflict.
+  conflictingRow(record, targets) {
+    for (const columns of targets) {
+      const conditions = {};
+      for (const column of columns) {
+        const def = this.schema[column];
+        const value = column in record ? record[column] : def.defaultValue;
+        if (value === undefined || value === null) break;
+        try {
+          conditions[column] = DataType.assign(value, def);
+        } catch (error) {
+          // Inserting the record reports the invalid value
+          break;
         }
       }
-      return true;
-    }).map(r => ({ ...r }));
+      if (Object.keys(conditions).length < columns.length) continue;
+      
+      const positions = this.findIndices(conditions);
+      if (positions.length > 0) return positions[0];
+    }
+    return -1;
+  }
+
+  find(conditions = {}) {
+    return this.locked('shared', () => this.findIndices(conditions).map(i => ({ ...this.storage.get(i) })));
+  }
+
+  // Returns the positions in storage of every row matching the conditions,
+  // following the given plan or else the cheapest one
+  findIndices(conditions = {}, plan = null) {
+    return this.planner.execute(plan || this.plan(conditions));
+  }
+
+  // The query plan for finding the rows matching the conditions
+  plan(conditions = {}) {
+    return this.planner.plan(Evaluator.fromConditions(conditions));
+  }
+
+  // The index to use for lookups on a column: a single-column index on it, or
+  // else an ordered composite index it leads
+  indexFor(column, options = {}) {
+    let best = null;
+    for (const index of Object.values(this.indexes)) {
+      if (index.columns[0] !== column || (options.ordered && !index.ordered)) continue;
+      if (index.columns.length > 1 && !index.ordered) continue;
+      if (!best || index.columns.length < best.columns.length) best = index;
+    }
+    return best;
+  }
+
+  // Converts a search value to the key stored for the column, so that for
+  // example '5' finds 5 in a number column. Values the column type cannot
+  // hold are looked up as they are.
+  indexKey(column, value) {
+    const def = this.schema[column];
+    if (def) {
+      try {
+        value = DataType.cast(value, def);
+      } catch (error) {
+        // Keep the original value
+      }
+    }
+    return IndexKey.normalize(value);
+  }
+
+  // The key a row is stored under in an index
+  rowKey(index, row) {
+    if (index.columns.length === 1) return IndexKey.normalize(row[index.columns[0]]);
+    return index.columns.map(column => IndexKey.normalize(row[column]));
+  }
+
+  // Positions of the rows whose column equals value, using an index on the column.
+  // Matches SQL comparison, where 5 and '5' are equal, by probing both keys.
+  lookup(column, value) {
+    const index = this.indexFor(column);
+    if (!index) return null;
+    return this.prefixLookup(index, [value]);
+  }
+
+  // Positions of the rows whose leading index columns equal values
+  prefixLookup(index, values) {
+    if (index.columns.length === 1) {
+      const key = this.indexKey(index.columns[0], values[0]);
+      
+      let alternate;
+      if (typeof key === 'number') alternate = String(key);
+      else if (typeof key === 'string' && key.trim() !== '' && !isNaN(key)) alternate = Number(key);
+      
+      const positions = index.get(key);
+      return alternate === undefined ? positions : [...positions, ...index.get(alternate)];
+    }
+    
+    const key = values.map((value, i) => this.indexKey(index.columns[i], value));
+    if (key.length === index.columns.length) return index.get(key);
+    return [...index.range({ low: key, high: [...key, IndexKey.MAX] })];
   }
 
-  compare(value, operator, compareTo) {
-    switch(operator) {
-      case '=': return value == compareTo;
-      case '!=': return value != compareTo;
-      case '>': return value > compareTo;
-      case '<': return value < compareTo;
-      case '>=': return value >= compareTo;
-      case '<=': return value <= compareTo;
-      case 'LIKE': 
-        const pattern = compareTo.replace(/%/g, '.*').replace(/_/g, '.');
-        return new RegExp(`^${pattern}$`).test(String(value));
-      default: return false;
+  // Range scan on the leading column of an index. Composite keys extend the
+  // bound, so [5] sorts before every [5, ...] key and [5, MAX] after them.
+  rangeLookup(index, { low, high, lowInclusive = true, highInclusive = true }) {
+    if (index.columns.length > 1) {
+      if (low !== undefined) {
+        low = lowInclusive ? [low] : [low, IndexKey.MAX];
+        lowInclusive = true;
+      }
+      if (high !== undefined) {
+        high = highInclusive ? [high, IndexKey.MAX] : [high];
+        highInclusive = false;
+      }
     }
+    return [...index.range({ low, high, lowInclusive, highInclusive })];
   }
 
   findOne(conditions) {
@@ -214,175 +597,839 @@ class Table {
   }
 
   findAll() {
-    return this.data.map(r => ({ ...r }));
+    return this.locked('shared', () => Array.from(this.storage, row => ({ ...row })));
   }
 
-  update(conditions, updates) {
-    const toUpdate = this.find(conditions);
-    const indices = [];
-    
-    // Find indices
-    for (const record of toUpdate) {
-      const idx = this.data.findIndex(r => {
-        if (this.primaryKey) return r[this.primaryKey] === record[this.primaryKey];
-        return r === record;
+  // A plan from Table#plan can be passed to choose how the rows are found
+  update(conditions, updates, plan = null) {
+    return this.updateReturning(conditions, updates, plan).length;
+  }
+
+  // Like update, but returns the updated rows. updates may also be a function
+  // that is given each row and returns the values to change in it.
+  updateReturning(conditions, updates, plan = null) {
+    return this.locked('write', () => {
+      this.checkWritable();
+      const references = this.referencingColumns();
+      if (references.length === 0) {
+        return this.updateRows(conditions, updates, plan).map(change => ({ ...change.row }));
+      }
+      
+      // Referencing rows are changed in the same transaction, so a violation
+      // anywhere in a cascade undoes the whole statement
+      return this.database.transaction(() => {
+        const changes = this.updateRows(conditions, updates, plan);
+        this.applyReferentialActions(references, changes, 'onUpdate');
+        return changes.map(change => ({ ...change.row }));
       });
-      if (idx !== -1) indices.push(idx);
-    }
+    });
+  }
+
+  updateRows(conditions, updates, plan = null) {
+    const indices = this.findIndices(conditions, plan);
+    const changes = [];
     
-    for (const col in this.indexes) {
+    // Apply row by row so each validation sees the rows updated before it; if any
+    // row fails, the rows already changed are restored
+    try {
       for (const idx of indices) {
-        const oldValue = this.data[idx][col];
-        if (oldValue !== undefined && this.indexes[col][oldValue]) {
-          this.indexes[col][oldValue] = this.indexes[col][oldValue].filter(i => i !== idx);
-        }
+        const values = typeof updates === 'function' ? updates({ ...this.storage.get(idx) }) : updates;
+        changes.push(this.updateRow(idx, values));
       }
+    } catch (error) {
+      this.undoChanges(changes);
+      throw error;
     }
     
-    // Update records
-    let updated = 0;
-    for (const idx of indices) {
-      const newRecord = { ...this.data[idx], ...updates };
-      const validated = this.validateRecord(newRecord);
+    if (changes.length > 0) {
+      this.persist(changes);
+    }
+    
+    return changes;
+  }
+
+  updateRow(position, values) {
+    const previous = this.storage.get(position);
+    const validated = this.validateRecord({ ...previous, ...values }, position);
+    
+    // Stored first, so a row the storage rejects leaves the indexes untouched
+    this.storage.set(position, validated);
+    this.removeFromIndexes(previous, position);
+    this.addToIndexes(validated, position);
+    this.advanceAutoIncrement(validated);
+    return { op: 'update', position, previous, row: validated };
+  }
+
+  // Each AUTO_INCREMENT column keeps the next value to hand out. Counters
+  // only move forward, so the values of deleted rows are never reused; this
+  // moves them past the largest value in the table. Counters just loaded were
+  // saved past the rows saved with them, so on open the rows are only read
+  // when a column has none.
+  syncAutoIncrement(loaded = false) {
+    const counters = {};
+    let scan = !loaded;
+    for (const column in this.schema) {
+      if (!this.schema[column].autoIncrement) continue;
+      if (!this.autoIncrement[column]) scan = true;
+      counters[column] = this.autoIncrement[column] || 1;
+    }
+    this.autoIncrement = counters;
+    
+    if (!scan || Object.keys(counters).length === 0) return;
+    for (const row of this.storage) {
+      this.advanceAutoIncrement(row);
+    }
+  }
+
+  // Values written explicitly move the counters past them
+  advanceAutoIncrement(row) {
+    for (const column in this.autoIncrement) {
+      if (typeof row[column] === 'number' && row[column] >= this.autoIncrement[column]) {
+        this.autoIncrement[column] = row[column] + 1;
+      }
+    }
+  }
+
+  delete(conditions, plan = null) {
+    return this.deleteReturning(conditions, plan).length;
+  }
+
+  // Like delete, but returns the deleted rows in table order
+  deleteReturning(conditions, plan = null) {
+    return this.locked('write', () => {
+      this.checkWritable();
+      const references = this.referencingColumns();
+      if (references.length === 0) {
+        return this.deleteRows(conditions, plan).map(change => ({ ...change.row })).reverse();
+      }
       
-      // Check primary key uniqueness
-      if (this.primaryKey && this.primaryKey in updates) {
-        const existing = this.findOne({ [this.primaryKey]: validated[this.primaryKey] });
-        if (existing && existing !== this.data[idx]) {
-          throw new Error(`Duplicate primary key value`);
+      return this.database.transaction(() => {
+        const changes = this.deleteRows(conditions, plan);
+        this.applyReferentialActions(references, changes, 'onDelete');
+        return changes.map(change => ({ ...change.row })).reverse();
+      });
+    });
+  }
+
+  deleteRows(conditions, plan = null) {
+    const indices = this.findIndices(conditions, plan);
+    const changes = [];
+    
+    indices.sort((a, b) => b - a);
+    
+    // Delete records
+    for (const idx of indices) {
+      const row = this.storage.get(idx);
+      changes.push({ op: 'delete', position: idx, row });
+      this.removeFromIndexes(row, idx);
+      this.storage.remove(idx);
+    }
+    
+    // The rows after each deleted one moved up
+    this.shiftIndexes(indices);
+    
+    if (changes.length > 0) {
+      this.persist(changes);
+    }
+    
+    return changes;
+  }
+
+  // Foreign keys are only checked for tables that belong to a database
+  referencedRowExists(foreignKey, value) {
+    if (!this.database) return true;
+    return this.database.getTable(foreignKey.table).findIndices({ [foreignKey.column]: value }).length > 0;
+  }
+
+  // The columns, in any table of the database, whose foreign keys point here
+  referencingColumns() {
+    if (!this.database) return [];
+    
+    const references = [];
+    for (const table of Object.values(this.database.tables)) {
+      for (const column in table.schema) {
+        const foreignKey = table.schema[column].foreignKey;
+        if (foreignKey && foreignKey.table === this.name) {
+          references.push({ table, column, foreignKey });
         }
       }
+    }
+    return references;
+  }
+
+  // Applies the ON DELETE / ON UPDATE action of each referencing column to the
+  // values that the changes removed from this table. Values still held by
+  // another row are left alone.
+  applyReferentialActions(references, changes, event) {
+    for (const { table, column, foreignKey } of references) {
+      const referenced = foreignKey.column;
       
-      this.data[idx] = validated;
-      updated++;
+      for (const change of changes) {
+        const value = change.op === 'delete' ? change.row[referenced] : change.previous[referenced];
+        if (value === null || value === undefined) continue;
+        if (change.op === 'update' &&
+            IndexKey.compare(IndexKey.normalize(value), IndexKey.normalize(change.row[referenced])) === 0) continue;
+        if (this.findIndices({ [referenced]: value }).length > 0) continue;
+        
+        const match = { [column]: value };
+        switch (foreignKey[event]) {
+          case 'CASCADE':
+            if (change.op === 'delete') table.delete(match);
+            else table.update(match, { [column]: change.row[referenced] });
+            break;
+          case 'SET NULL':
+            table.update(match, { [column]: null });
+            break;
+          default:
+            if (table.findIndices(match).length > 0) {
+              const action = change.op === 'delete' ? `delete from '${this.name}'` : `update '${this.name}.${referenced}'`;
+              throw new Error(`Cannot ${action}: ${JSON.stringify(value)} is still referenced by '${table.name}.${column}'`);
+            }
+        }
+      }
+    }
+  }
+
+  undoChanges(changes) {
+    for (let i = changes.length - 1; i >= 0; i--) {
+      this.undoChange(changes[i]);
+    }
+    this.rebuildIndexes();
+  }
+
+  // Reverts a single change; callers rebuild indexes afterwards
+  undoChange(change) {
+    switch (change.op) {
+      case 'insert':
+        this.storage.remove(change.position);
+        break;
+      case 'update':
+        this.storage.set(change.position, change.previous);
+        break;
+      case 'delete':
+        this.storage.insert(change.position, change.row);
+        break;
+    }
+  }
+
+  // Makes changes durable: on COMMIT when inside a transaction, through the
+  // database's write-ahead log when there is one, otherwise by saving directly
+  persist(changes) {
+    if (this.transaction) {
+      changes.forEach(change => this.transaction.record(this, change));
+      return;
     }
     
-    // Add new index entries
-    for (const col in this.indexes) {
-      for (const idx of indices) {
-        const newValue = this.data[idx][col];
-        if (newValue !== undefined) {
-          if (!this.indexes[col][newValue]) this.indexes[col][newValue] = [];
-          this.indexes[col][newValue].push(idx);
-        }
+    if (this.journal) {
+      this.journal.logChanges(changes.map(change => ({ table: this, change })));
+      return;
+    }
+    
+    this.save();
+    this.saveIndexes();
+  }
+
+  // Re-applies changes read back from the write-ahead log, in order, keeping
+  // the indexes up to date. A run of deletes from the highest position down,
+  // as DELETE logs them, moves the index positions once at its end.
+  replay(changes) {
+    let removed = [];
+    for (const change of changes) {
+      if (removed.length > 0 && (change.op !== 'delete' || change.position >= removed[removed.length - 1])) {
+        this.shiftIndexes(removed);
+        removed = [];
       }
+      this.applyChange(change);
+      if (change.op === 'delete') removed.push(change.position);
     }
+    this.shiftIndexes(removed);
+  }
+
+  // Re-applies a single change; callers shift the index positions past a
+  // deleted row afterwards. AUTO_INCREMENT counters move past every replayed
+  // value, even one whose row a later change deletes.
+  applyChange(change) {
+    // The indexes are filled from the rows as they were before the change
+    this.fillPendingIndexes();
     
-    if (updated > 0) {
-      this.save();
+    switch (change.op) {
+      case 'insert': {
+        if (change.position !== this.storage.length) {
+          throw new Error(`Cannot replay insert into '${this.name}' at row ${change.position}`);
+        }
+        const row = this.reviveRow(change.row);
+        this.storage.push(row);
+        this.addToIndexes(row, change.position);
+        this.advanceAutoIncrement(row);
+        break;
+      }
+      case 'update': {
+        if (change.position >= this.storage.length) {
+          throw new Error(`Cannot replay update of '${this.name}' at row ${change.position}`);
+        }
+        const row = this.reviveRow(change.row);
+        this.removeFromIndexes(this.storage.get(change.position), change.position);
+        this.storage.set(change.position, row);
+        this.addToIndexes(row, change.position);
+        this.advanceAutoIncrement(row);
+        break;
+      }
+      case 'delete':
+        if (change.position >= this.storage.length) {
+          throw new Error(`Cannot replay delete from '${this.name}' at row ${change.position}`);
+        }
+        this.removeFromIndexes(this.storage.get(change.position), change.position);
+        this.storage.remove(change.position);
+        break;
+      default:
+        throw new Error(`Unknown change '${change.op}' for table '${this.name}'`);
+    }
+  }
+
+  addToIndexes(row, position) {
+    for (const index of Object.values(this.indexes)) {
+      index.insert(this.rowKey(index, row), position);
+    }
+  }
+
+  removeFromIndexes(row, position) {
+    for (const index of Object.values(this.indexes)) {
+      index.remove(this.rowKey(index, row), position);
+    }
+  }
+
+  // columns is a column name or a list of them for a composite index. Options:
+  // name (defaults to the column name, or table_col1_col2_idx), type 'hash'
+  // (equality lookups) or 'btree' (ordered: ranges, prefix LIKE and ORDER BY),
+  // and unique to reject rows repeating a key.
+  createIndex(columns, options = {}) {
+    return this.locked('write', () => {
+      columns = Array.isArray(columns) ? columns : [columns];
+      if (columns.length === 0) {
+        throw new Error('An index needs at least one column');
+      }
+      for (const column of columns) {
+        if (!this.schema[column]) {
+          throw new Error(`Column '${column}' does not exist`);
+        }
+      }
+      if (new Set(columns).size !== columns.length) {
+        throw new Error('An index cannot list the same column twice');
+      }
+      
+      const name = options.name || (columns.length === 1 ? columns[0] : `${this.name}_${columns.join('_')}_idx`);
+      if (this.indexes[name]) {
+        throw new Error(`Index '${name}' already exists on table '${this.name}'`);
+      }
+      
+      const index = this.buildIndex({ name, columns, type: options.type, unique: options.unique });
+      this.rebuildIndex(index);
+      if (index.unique) this.checkUnique(index);
+      
+      this.indexes[name] = index;
       this.saveIndexes();
+      return true;
+    });
+  }
+
+  dropIndex(name) {
+    return this.locked('write', () => {
+      if (!this.indexes[name]) {
+        throw new Error(`Index '${name}' does not exist on table '${this.name}'`);
+      }
+      if (name === this.primaryKey) {
+        throw new Error(`Cannot drop the primary key index of table '${this.name}'`);
+      }
+      
+      delete this.indexes[name];
+      this.saveIndexes();
+      return true;
+    });
+  }
+
+  // Only the definitions, so the indexes are not filled for this
+  listIndexes() {
+    return Object.values(this.indexMap).map(index => ({
+      name: index.name,
+      columns: [...index.columns],
+      type: index.type,
+      unique: index.unique
+    }));
+  }
+
+  buildIndex({ name, columns, type = 'hash', unique = false }) {
+    const IndexType = INDEX_TYPES[type];
+    if (!IndexType) {
+      throw new Error(`Unknown index type '${type}'`);
     }
     
-    return updated;
+    const index = new IndexType();
+    index.name = name;
+    index.columns = columns;
+    index.unique = unique;
+    return index;
+  }
+
+  // Rows with a null in any indexed column never conflict
+  uniqueKey(index, row) {
+    const key = this.rowKey(index, row);
+    const parts = Array.isArray(key) ? key : [key];
+    return parts.includes(null) ? null : key;
   }
 
-  delete(conditions) {
-    const toDelete = this.find(conditions);
-    const indices = [];
+  checkUnique(index) {
+    for (const row of this.storage) {
+      const key = this.uniqueKey(index, row);
+      if (key !== null && index.get(key).length > 1) {
+        throw new Error(`Cannot create unique index '${index.name}': duplicate values in '${this.name}'`);
+      }
+    }
+  }
+
+  // Moves index positions down past the removed positions (sorted from
+  // highest to lowest), without reading the rows
+  shiftIndexes(removed) {
+    if (removed.length === 0) return;
     
-    for (const record of toDelete) {
-      const idx = this.data.findIndex(r => {
-        if (this.primaryKey) return r[this.primaryKey] === record[this.primaryKey];
-        return r === record;
-      });
-      if (idx !== -1) indices.push(idx);
+    const ascending = [...removed].reverse();
+    const shift = position => {
+      let low = 0;
+      let high = ascending.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (ascending[mid] < position) low = mid + 1;
+        else high = mid;
+      }
+      return position - low;
+    };
+    Object.values(this.indexes).forEach(index => index.mapPositions(shift));
+  }
+
+  // The indexes by name. Opening a table only defines them; their contents
+  // are filled on first use.
+  get indexes() {
+    this.fillPendingIndexes();
+    return this.indexMap;
+  }
+
+  set indexes(indexes) {
+    this.indexMap = indexes;
+    this.pendingIndexes = false;
+  }
+
+  // Fills the indexes defined by open from the contents saved with the rows,
+  // or from the rows for any index those do not hold
+  fillPendingIndexes() {
+    if (!this.pendingIndexes) return;
+    this.pendingIndexes = false;
+    
+    const indexes = Object.values(this.indexMap);
+    const saved = indexes.length > 0 ? this.loadIndexContents() : {};
+    const missing = indexes.filter(index => {
+      const contents = saved[index.name];
+      if (!contents || contents.type !== index.type || JSON.stringify(contents.columns) !== JSON.stringify(index.columns)) {
+        return true;
+      }
+      
+      index.restore(contents.entries);
+      return false;
+    });
+    this.fillIndexes(missing);
+  }
+
+  // Reads the rows once for all of the indexes
+  rebuildIndexes() {
+    this.pendingIndexes = false;
+    this.fillIndexes(Object.values(this.indexMap));
+  }
+
+  rebuildIndex(index) {
+    this.fillIndexes([index]);
+  }
+
+  fillIndexes(indexes) {
+    indexes.forEach(index => index.clear());
+    if (indexes.length === 0) return;
+    
+    let position = 0;
+    for (const row of this.storage) {
+      indexes.forEach(index => index.insert(this.rowKey(index, row), position));
+      position++;
     }
+  }
+
+  // Applies a list of column changes as one unit: every row is rewritten on a
+  // copy, and nothing changes unless all of them succeed. Actions are
+  // { action: 'addColumn', column, definition }, { action: 'dropColumn', column },
+  // { action: 'renameColumn', column, to }, { action: 'alterColumnType', column, type },
+  // { action: 'addCheck', name, expression } and { action: 'dropConstraint', name }.
+  alter(actions) {
+    this.checkWritable();
+    const schema = {};
+    for (const column in this.schema) schema[column] = { ...this.schema[column] };
+    let rows = Array.from(this.storage, row => ({ ...row }));
+    let indexes = this.listIndexes();
+    let checks = this.checks.map(({ name, expression }) => ({ name, expression }));
+    const counters = { ...this.autoIncrement };
     
-    indices.sort((a, b) => b - a);
+    const requireColumn = column => {
+      if (!schema[column]) {
+        throw new Error(`Column '${column}' does not exist in table '${this.name}'`);
+      }
+    };
     
-    // Remove from indexes
-    for (const col in this.indexes) {
-      for (const idx of indices) {
-        const value = this.data[idx][col];
-        if (value !== undefined && this.indexes[col][value]) {
-          this.indexes[col][value] = this.indexes[col][value].filter(i => i !== idx);
+    for (const change of actions) {
+      const { column } = change;
+      
+      switch (change.action) {
+        case 'addColumn': {
+          if (schema[column]) {
+            throw new Error(`Column '${column}' already exists in table '${this.name}'`);
+          }
+          const def = this.normalizeSchema({ [column]: change.definition })[column];
+          if (def.primaryKey) {
+            throw new Error('Cannot add a primary key column to an existing table');
+          }
+          
+          let value = def.defaultValue === undefined ? null : this.coerceValue(def.defaultValue, def);
+          if (value === null && def.required && !def.autoIncrement && rows.length > 0) {
+            throw new Error(`Column '${column}' is NOT NULL and needs a DEFAULT to be added to a table with rows`);
+          }
+          if (value !== null && def.foreignKey && !this.referencedRowExists(def.foreignKey, value)) {
+            throw new Error(`Foreign key violation: default of '${column}' has no matching row in '${def.foreignKey.table}'`);
+          }
+          
+          schema[column] = def;
+          rows.forEach((row, i) => {
+            row[column] = def.autoIncrement ? i + 1 : value;
+          });
+          break;
         }
+        
+        case 'dropColumn':
+          requireColumn(column);
+          if (schema[column].primaryKey) {
+            throw new Error(`Cannot drop primary key column '${column}'`);
+          }
+          if (Object.keys(schema).length === 1) {
+            throw new Error(`Cannot drop '${column}', the only column of table '${this.name}'`);
+          }
+          
+          checks.forEach(check => {
+            if (this.checkColumns(check.expression).includes(column)) {
+              throw new Error(`Cannot drop column '${column}': it is used by CHECK constraint '${check.name}'`);
+            }
+          });
+          
+          delete schema[column];
+          rows.forEach(row => delete row[column]);
+          indexes = indexes.filter(index => !index.columns.includes(column));
+          break;
+        
+        case 'renameColumn': {
+          const { to } = change;
+          requireColumn(column);
+          if (schema[to]) {
+            throw new Error(`Column '${to}' already exists in table '${this.name}'`);
+          }
+          
+          // Rebuild the schema so the column keeps its position
+          const entries = Object.entries(schema);
+          entries.forEach(([name]) => delete schema[name]);
+          entries.forEach(([name, def]) => {
+            schema[name === column ? to : name] = def;
+          });
+          
+          for (const name in schema) {
+            const foreignKey = schema[name].foreignKey;
+            if (foreignKey && foreignKey.table === this.name && foreignKey.column === column) {
+              schema[name].foreignKey = { ...foreignKey, column: to };
+            }
+          }
+          
+          rows = rows.map(row => {
+            const result = {};
+            for (const name in row) result[name === column ? to : name] = row[name];
+            return result;
+          });
+          if (column in counters) {
+            counters[to] = counters[column];
+            delete counters[column];
+          }
+          
+          checks = checks.map(check => {
+            const expr = Parser.parseExpression(check.expression);
+            Evaluator.walk(expr, node => {
+              if (node.type === 'Column' && node.name === column) node.name = to;
+            });
+            return { name: check.name, expression: Parser.format(expr) };
+          });
+          
+          // Single-column indexes named after their column keep following it
+          indexes = indexes.map(index => ({
+            ...index,
+            name: index.name === column && index.columns.length === 1 ? to : index.name,
+            columns: index.columns.map(name => name === column ? to : name)
+          }));
+          break;
+        }
+        
+        case 'alterColumnType': {
+          requireColumn(column);
+          const def = {
+            ...schema[column],
+            type: change.type,
+            length: change.length,
+            precision: change.precision,
+            scale: change.scale
+          };
+          
+          for (const row of rows) {
+            try {
+              row[column] = this.coerceValue(row[column], def);
+            } catch (error) {
+              throw new Error(`Cannot convert ${JSON.stringify(row[column])} in column '${column}' to ${DataType.describe(def)}`);
+            }
+          }
+          if (def.defaultValue !== undefined) {
+            def.defaultValue = this.coerceValue(def.defaultValue, def);
+          }
+          schema[column] = def;
+          break;
+        }
+        
+        case 'addCheck':
+          checks.push({ name: change.name, column: change.column, expression: change.expression });
+          break;
+        
+        case 'dropConstraint':
+          if (!checks.some(check => check.name === change.name)) {
+            throw new Error(`Constraint '${change.name}' does not exist on table '${this.name}'`);
+          }
+          checks = checks.filter(check => check.name !== change.name);
+          break;
+        
+        // The value is raised past the largest one in the table
+        case 'setAutoIncrement': {
+          const columns = Object.keys(schema).filter(name => schema[name].autoIncrement);
+          if (columns.length === 0) {
+            throw new Error(`Table '${this.name}' has no AUTO_INCREMENT column`);
+          }
+          if (!Number.isSafeInteger(change.value) || change.value < 1) {
+            throw new Error(`AUTO_INCREMENT must be a positive integer but got ${JSON.stringify(change.value)}`);
+          }
+          columns.forEach(name => { counters[name] = change.value; });
+          break;
+        }
+        
+        default:
+          throw new Error(`Unknown table alteration '${change.action}'`);
       }
-      
-      // Rebuild index to fix indices
-      this.rebuildIndex(col);
     }
     
-    // Delete records
-    for (const idx of indices) {
-      this.data.splice(idx, 1);
+    // Existing rows must satisfy every CHECK constraint
+    const normalizedChecks = this.normalizeChecks(checks, schema);
+    for (const check of normalizedChecks) {
+      if (rows.some(row => this.evaluator.evaluate(check.expr, row) === false)) {
+        throw new Error(`CHECK constraint '${check.name}' is violated by existing rows`);
+      }
     }
     
-    if (indices.length > 0) {
-      this.save();
-      this.saveIndexes();
+    // The rewritten rows must still satisfy unique columns and indexes
+    const uniqueSets = Object.keys(schema).filter(column => schema[column].unique).map(column => [column]);
+    indexes.filter(index => index.unique).forEach(index => uniqueSets.push(index.columns));
+    for (const columns of uniqueSets) {
+      const seen = new Set();
+      for (const row of rows) {
+        const key = columns.map(column => IndexKey.normalize(row[column]));
+        if (key.includes(null)) continue;
+        
+        const encoded = IndexKey.encode(key);
+        if (seen.has(encoded)) {
+          throw new Error(`Duplicate value for unique '${columns.join(', ')}' after altering table '${this.name}'`);
+        }
+        seen.add(encoded);
+      }
     }
     
-    return indices.length;
-  }
-
-  createIndex(column) {
-    if (!this.schema[column]) {
-      throw new Error(`Column '${column}' does not exist`);
+    this.schema = this.normalizeSchema(schema);
+    this.primaryKey = this.findPrimaryKey();
+    this.checks = normalizedChecks;
+    this.storage.replace(rows);
+    this.autoIncrement = counters;
+    this.syncAutoIncrement();
+    this.indexes = {};
+    for (const index of indexes) {
+      this.indexes[index.name] = this.buildIndex(index);
     }
+    this.rebuildIndexes();
     
-    this.indexes[column] = {};
-    this.rebuildIndex(column);
-    this.saveIndexes();
-    return true;
+    // The columns may no longer match what ANALYZE saw
+    this.statistics = null;
   }
 
-  rebuildIndex(column) {
-    this.indexes[column] = {};
-    for (let i = 0; i < this.data.length; i++) {
-      const value = this.data[i][column];
-      if (value !== undefined) {
-        if (!this.indexes[column][value]) this.indexes[column][value] = [];
-        this.indexes[column][value].push(i);
-      }
-    }
+  // Replaces every row at once and writes the table, bypassing the log; used
+  // to refresh materialized views outside of any transaction
+  replaceRows(rows) {
+    this.storage.replace(rows);
+    this.rebuildIndexes();
+    this.save();
+  }
+
+  // Moves the table's files to a new name
+  rename(newName) {
+    const dataDir = this.dataDir;
+    const oldPaths = [this.indexPath, this.entriesPath, this.statsPath];
+    
+    this.name = newName;
+    this.storage.rename(path.join(dataDir, `${newName}${STORAGE_ENGINES[this.engine].extension}`));
+    this.indexPath = path.join(dataDir, `${newName}_index.json`);
+    this.entriesPath = path.join(dataDir, `${newName}_entries.json`);
+    this.statsPath = path.join(dataDir, `${newName}_stats.json`);
+    this.save();
+    this.saveIndexes();
+    this.saveStatistics();
+    
+    oldPaths.forEach(file => {
+      if (this.adapter.exists(file)) this.adapter.remove(file);
+    });
   }
 
   drop() {
     try {
-      if (fs.existsSync(this.filePath)) fs.unlinkSync(this.filePath);
-      if (fs.existsSync(this.indexPath)) fs.unlinkSync(this.indexPath);
+      this.storage.drop();
+      if (this.adapter.exists(this.indexPath)) this.adapter.remove(this.indexPath);
+      if (this.adapter.exists(this.entriesPath)) this.adapter.remove(this.entriesPath);
+      if (this.adapter.exists(this.statsPath)) this.adapter.remove(this.statsPath);
     } catch (error) {
       console.error('Error dropping table:', error);
     }
   }
 
   load() {
+    let saved;
     try {
-      if (fs.existsSync(this.filePath)) {
-        const raw = fs.readFileSync(this.filePath, 'utf8');
-        const parsed = JSON.parse(raw);
-        this.data = Array.isArray(parsed) ? parsed : [];
-      }
+      saved = this.storage.load();
     } catch (error) {
-      this.data = [];
+      throw new Error(`Table '${this.name}' is corrupted (${this.storage.filePath}): ${error.message}`);
     }
+    
+    if (saved) {
+      this.lsn = saved.lsn;
+      this.autoIncrement = saved.autoIncrement;
+      this.saveId = saved.saveId || null;
+    }
+  }
+
+  // Releases the table's file and any of its pages held in memory
+  close() {
+    this.storage.close();
   }
 
+  // Dates are written to disk as ISO strings; this turns them back into Dates
+  reviveRow(row) {
+    for (const column in this.schema) {
+      if (typeof row[column] === 'string' && DataType.storage(this.schema[column].type) === 'date') {
+        const date = new Date(row[column]);
+        if (!isNaN(date)) row[column] = date;
+      }
+    }
+    return row;
+  }
+
+  // Writes the whole table along with the last log sequence number it contains
+  // and its AUTO_INCREMENT counters. The index contents are written first,
+  // under a new id the table file then names, so contents whose table file
+  // was never written are not read with another one.
   save() {
+    const saveId = crypto.randomBytes(8).toString('hex');
+    this.saveIndexContents(saveId);
+    this.storage.save({ lsn: this.lsn, autoIncrement: this.autoIncrement, saveId });
+    this.saveId = saveId;
+    this.dirty = false;
+  }
+
+  // Index definitions are stored as { name: { columns, type, unique } }; their
+  // contents are kept apart (see saveIndexContents). Older files keyed
+  // single-column definitions ({ type }) or the contents themselves by column,
+  // and are read as indexes named after the column.
+  loadIndexes() {
+    if (!this.adapter.exists(this.indexPath)) return;
+    
+    let definitions;
     try {
-      fs.writeFileSync(this.filePath, JSON.stringify(this.data, null, 2));
+      definitions = JSON.parse(this.adapter.readFile(this.indexPath).toString('utf8'));
     } catch (error) {
-      console.error('Error saving table:', error);
+      throw new Error(`Indexes of table '${this.name}' are corrupted (${this.indexPath}): ${error.message}`);
+    }
+    
+    for (const name in definitions) {
+      const definition = definitions[name];
+      const columns = Array.isArray(definition.columns) ? definition.columns : [name];
+      if (!columns.every(column => this.schema[column])) continue;
+      
+      const type = INDEX_TYPES[definition.type] ? definition.type : 'hash';
+      this.indexes[name] = this.buildIndex({ name, columns, type, unique: definition.unique === true });
     }
   }
 
-  loadIndexes() {
+  saveIndexes() {
+    const definitions = {};
+    for (const index of Object.values(this.indexes)) {
+      definitions[index.name] = { columns: index.columns, type: index.type, unique: index.unique };
+    }
+    this.adapter.writeFile(this.indexPath, JSON.stringify(definitions, null, 2));
+  }
+
+  // Index contents are stored as { saveId, indexes: { name: { columns, type,
+  // entries } } }, matching the rows of the save with that id
+  saveIndexContents(saveId) {
+    const indexes = {};
+    for (const index of Object.values(this.indexes)) {
+      indexes[index.name] = { columns: index.columns, type: index.type, entries: index.serialize() };
+    }
+    this.adapter.writeFile(this.entriesPath, JSON.stringify({ saveId, indexes }));
+  }
+
+  // The saved contents by index name when they match the rows loaded, else
+  // none. Unreadable contents are not an error, as the rows can refill them.
+  loadIndexContents() {
+    if (!this.saveId || !this.adapter.exists(this.entriesPath)) return {};
+    
     try {
-      if (fs.existsSync(this.indexPath)) {
-        const raw = fs.readFileSync(this.indexPath, 'utf8');
-        this.indexes = JSON.parse(raw);
-      }
+      const saved = JSON.parse(this.adapter.readFile(this.entriesPath).toString('utf8'));
+      return saved.saveId === this.saveId && saved.indexes ? saved.indexes : {};
     } catch (error) {
-      this.indexes = {};
+      return {};
     }
   }
 
-  saveIndexes() {
+  // Collects the row counts, NULL shares, distinct counts and histograms the
+  // planner estimates with, and keeps them with the table
+  analyze() {
+    return this.locked('write', () => {
+      this.statistics = this.planner.analyze();
+      this.saveStatistics();
+      return this.statistics;
+    });
+  }
+
+  loadStatistics() {
+    if (!this.adapter.exists(this.statsPath)) return;
+    
     try {
-      fs.writeFileSync(this.indexPath, JSON.stringify(this.indexes, null, 2));
+      this.statistics = JSON.parse(this.adapter.readFile(this.statsPath).toString('utf8'));
     } catch (error) {
-      console.error('Error saving indexes:', error);
+      // Statistics only guide the planner; unreadable ones are collected again by ANALYZE
+      this.statistics = null;
+    }
+  }
+
+  saveStatistics() {
+    if (this.statistics) {
+      this.adapter.writeFile(this.statsPath, JSON.stringify(this.statistics, null, 2));
+    } else if (this.adapter.exists(this.statsPath)) {
+      this.adapter.remove(this.statsPath);
     }
   }
 }
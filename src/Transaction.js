@@ -0,0 +1,54 @@
+// Tracks the changes made to tables since BEGIN so they can be undone on
+// ROLLBACK (or ROLLBACK TO a savepoint) and logged as one record on COMMIT.
+class Transaction {
+  constructor() {
+    this.changes = [];
+    this.savepoints = [];
+    this.tables = new Set();
+  }
+
+  record(table, change) {
+    this.changes.push({ table, change });
+    this.tables.add(table);
+  }
+
+  savepoint(name) {
+    this.savepoints.push({ name, mark: this.changes.length });
+  }
+
+  findSavepoint(name) {
+    for (let i = this.savepoints.length - 1; i >= 0; i--) {
+      if (this.savepoints[i].name === name) return i;
+    }
+    throw new Error(`Savepoint '${name}' does not exist`);
+  }
+
+  // Undoes everything after the savepoint, which stays active
+  rollbackTo(name) {
+    const i = this.findSavepoint(name);
+    this.undo(this.savepoints[i].mark);
+    this.savepoints.length = i + 1;
+  }
+
+  release(name) {
+    const i = this.findSavepoint(name);
+    this.savepoints.length = i;
+  }
+
+  rollback() {
+    this.undo(0);
+    this.savepoints = [];
+  }
+
+  undo(mark) {
+    const touched = new Set();
+    while (this.changes.length > mark) {
+      const { table, change } = this.changes.pop();
+      table.undoChange(change);
+      touched.add(table);
+    }
+    touched.forEach(table => table.rebuildIndexes());
+  }
+}
+
+module.exports = Transaction;
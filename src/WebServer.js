@@ -1,52 +1,77 @@
 const express = require('express');
 const Database = require('./Database.js');
+const SQLParser = require('./SQLParser.js');
+const MemoryAdapter = require('./MemoryAdapter.js');
+const parseCommandLine = require('./parseCommandLine.js');
 const path = require('path');
-const fs = require('fs');
+
+// How long a request waits for another process's lock unless --lock-timeout
+// says otherwise. Waiting blocks the server, so this is kept short.
+const LOCK_TIMEOUT = 250;
+
+// Every client shares one Database per name, so a transaction begun by one
+// request would take in the writes of other clients until it ends
+const TRANSACTION_STATEMENTS = ['Begin', 'Commit', 'Rollback', 'Savepoint', 'Release'];
 
 class WebServer {
-  constructor(port = 3000) {
+  // options are passed to every Database opened (dataDir, storage, lockTimeout)
+  constructor(port = 3000, options = {}) {
     this.app = express();
     this.port = port;
+    this.options = { lockTimeout: LOCK_TIMEOUT, ...options };
+    // Databases opened so far; the others are opened on first use
     this.databases = {};
     
-    // Load all existing databases on startup
+    // List the existing databases on startup
     this.loadExistingDatabases();
     
     this.setupMiddleware();
     this.setupRoutes();
   }
 
-  // New method: Load existing databases
+  // Lists the databases on disk without opening them, so startup does not
+  // read every table of every database. Returns their names.
   loadExistingDatabases() {
     try {
-      const dataDir = path.join(process.cwd(), 'data');
-      if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
-        console.log('📁 Created data directory');
-        return;
-      }
-      
-      const dbDirs = fs.readdirSync(dataDir, { withFileTypes: true })
-        .filter(dirent => dirent.isDirectory())
-        .map(dirent => dirent.name);
-      
+      const dbDirs = Database.listDatabases(this.options);
       console.log(`📂 Found ${dbDirs.length} existing database(s):`);
-      
-      dbDirs.forEach(dbName => {
-        try {
-          this.databases[dbName] = new Database(dbName);
-          const tableCount = this.databases[dbName].listTables().length;
-          console.log(`   • ${dbName} (${tableCount} tables)`);
-        } catch (error) {
-          console.error(`   ✗ Failed to load database ${dbName}:`, error.message);
-        }
-      });
+      dbDirs.forEach(dbName => console.log(`   • ${dbName}`));
       
       if (dbDirs.length === 0) {
         console.log('   No databases found');
       }
+      return dbDirs;
     } catch (error) {
       console.error('Error loading existing databases:', error.message);
+      return [];
+    }
+  }
+
+  // Returns the named database, opening it on first use. A database that is
+  // not on disk yet gives null unless create is set.
+  getDatabase(name, create = false) {
+    if (!this.databases[name]) {
+      const exists = Database.listDatabases(this.options).includes(name);
+      if (!exists && !create) return null;
+      
+      this.databases[name] = new Database(name, this.options);
+      console.log(exists ? `📥 Loaded database from disk: ${name}` : `📝 Created new database: ${name}`);
+    }
+    return this.databases[name];
+  }
+
+  // Like getDatabase, but sends the error response itself and returns null
+  // when the database does not exist or cannot be opened
+  openDatabase(name, res) {
+    try {
+      const db = this.getDatabase(name);
+      if (!db) {
+        res.json({ success: false, error: `Database '${name}' does not exist` });
+      }
+      return db;
+    } catch (error) {
+      res.json({ success: false, error: `Failed to load database '${name}': ${error.message}` });
+      return null;
     }
   }
 
@@ -64,21 +89,21 @@ class WebServer {
 
     // API endpoint for SQL queries
     this.app.post('/api/query', (req, res) => {
-      const { database, sql } = req.body;
+      const { database, sql, params } = req.body;
       
       if (!database || !sql) {
         return res.json({ success: false, error: 'Database and SQL query required' });
       }
       
       try {
-        // Get or create database
-        if (!this.databases[database]) {
-          this.databases[database] = new Database(database);
-          console.log(`📝 Created new database in memory: ${database}`);
+        const parser = new SQLParser();
+        const statements = parser.parse(sql);
+        if (statements.some(statement => TRANSACTION_STATEMENTS.includes(statement.type))) {
+          return res.json({ success: false, error: 'Transactions are not supported over HTTP; each request is applied on its own' });
         }
         
-        const db = this.databases[database];
-        const result = db.query(sql);
+        const db = this.getDatabase(database, true);
+        const result = parser.executeAll(statements, db, params);
         
         res.json(result);
       } catch (error) {
@@ -96,12 +121,11 @@ class WebServer {
       
       try {
         // Check if database already exists
-        const dataDir = path.join(process.cwd(), 'data', name);
-        if (fs.existsSync(dataDir)) {
+        if (Database.listDatabases(this.options).includes(name)) {
           console.log(`⚠️  Database already exists on disk: ${name}`);
         }
         
-        this.databases[name] = new Database(name);
+        this.getDatabase(name, true);
         console.log(`✅ Created database: ${name}`);
         
         res.json({ 
@@ -118,78 +142,41 @@ class WebServer {
       const dbs = Object.keys(this.databases);
       
       // Also check for databases that might exist on disk but aren't loaded
-      const dataDir = path.join(process.cwd(), 'data');
-      let allDbs = [...dbs];
+      const diskDbs = Database.listDatabases(this.options);
       
-      if (fs.existsSync(dataDir)) {
-        const diskDbs = fs.readdirSync(dataDir, { withFileTypes: true })
-          .filter(dirent => dirent.isDirectory())
-          .map(dirent => dirent.name);
-        
-        // Merge and deduplicate
-        allDbs = [...new Set([...allDbs, ...diskDbs])];
-      }
+      // Merge and deduplicate
+      const allDbs = [...new Set([...dbs, ...diskDbs])];
       
       res.json({ success: true, data: allDbs.sort() });
     });
 
     // API endpoint to list tables
     this.app.get('/api/:database/tables', (req, res) => {
-      const dbName = req.params.database;
+      const db = this.openDatabase(req.params.database, res);
+      if (!db) return;
       
-      if (!this.databases[dbName]) {
-        // Database doesn't exist in memory, try to load from disk
-        const dataDir = path.join(process.cwd(), 'data', dbName);
-        if (!fs.existsSync(dataDir)) {
-          return res.json({ 
-            success: false, 
-            error: `Database '${dbName}' does not exist` 
-          });
-        }
-        
-        try {
-          this.databases[dbName] = new Database(dbName);
-          console.log(`📥 Loaded database from disk: ${dbName}`);
-        } catch (error) {
-          return res.json({ 
-            success: false, 
-            error: `Failed to load database '${dbName}': ${error.message}` 
-          });
-        }
+      try {
+        const tables = db.listTables();
+        res.json({ success: true, data: tables });
+      } catch (error) {
+        res.json({ success: false, error: error.message });
       }
-      
-      const tables = this.databases[dbName].listTables();
-      res.json({ success: true, data: tables });
     });
 
     // API endpoint to get table data
     this.app.get('/api/:database/tables/:table', (req, res) => {
-      const { database, table } = req.params;
-      
-      if (!this.databases[database]) {
-        // Try to load from disk
-        const dataDir = path.join(process.cwd(), 'data', database);
-        if (!fs.existsSync(dataDir)) {
-          return res.json({ 
-            success: false, 
-            error: `Database '${database}' does not exist` 
-          });
-        }
-        
-        try {
-          this.databases[database] = new Database(database);
-          console.log(`📥 Loaded database from disk: ${database}`);
-        } catch (error) {
-          return res.json({ 
-            success: false, 
-            error: `Failed to load database '${database}': ${error.message}` 
-          });
-        }
-      }
+      const { table } = req.params;
+      const db = this.openDatabase(req.params.database, res);
+      if (!db) return;
       
       try {
-        const db = this.databases[database];
-        const tableData = db.getTable(table).findAll();
+        // Plain views have no rows of their own, so their query is run
+        const tableData = db.read(() => {
+          const view = db.views[table];
+          return view && !view.materialized
+            ? new SQLParser().evaluateView(view, db).rows
+            : db.getTable(table).findAll();
+        });
         res.json({ success: true, data: tableData });
       } catch (error) {
         res.json({ success: false, error: error.message });
@@ -199,13 +186,10 @@ class WebServer {
     // API endpoint to drop table
     this.app.delete('/api/:database/tables/:table', (req, res) => {
       const { database, table } = req.params;
-      
-      if (!this.databases[database]) {
-        return res.json({ success: false, error: 'Database not found' });
-      }
+      const db = this.openDatabase(database, res);
+      if (!db) return;
       
       try {
-        const db = this.databases[database];
         db.dropTable(table);
         console.log(`🗑️  Dropped table: ${database}.${table}`);
         res.json({ success: true, message: `Table '${table}' dropped` });
@@ -223,13 +207,22 @@ class WebServer {
       });
     });
 
-    // Reload all databases from disk
+    // Close the open databases so they are read from disk again on next use
     this.app.post('/api/reload-databases', (req, res) => {
-      this.loadExistingDatabases();
+      for (const name in this.databases) {
+        try {
+          this.databases[name].close();
+        } catch (error) {
+          console.error(`   ✗ Failed to close database ${name}:`, error.message);
+        }
+      }
+      this.databases = {};
+      
+      const names = this.loadExistingDatabases();
       res.json({ 
         success: true, 
         message: 'Databases reloaded',
-        count: Object.keys(this.databases).length 
+        count: names.length 
       });
     });
   }
@@ -237,7 +230,12 @@ class WebServer {
   start() {
     this.app.listen(this.port, () => {
       console.log(`\n🚀 Alpha DB Web Interface running on http://localhost:${this.port}`);
-      console.log(`📊 Loaded ${Object.keys(this.databases).length} database(s)`);
+      console.log(`📊 Databases are opened on first use`);
+      if (this.options.storage instanceof MemoryAdapter) {
+        console.log('🧠 Databases are kept in memory and lost on exit');
+      } else if (this.options.dataDir) {
+        console.log(`📁 Data directory: ${path.resolve(this.options.dataDir)}`);
+      }
       console.log(`\n💡 Open http://localhost:${this.port} in your browser to start!`);
       console.log(`\n📝 Available API endpoints:`);
       console.log(`   • POST /api/query - Execute SQL query`);
@@ -251,7 +249,14 @@ class WebServer {
 
 // Starting the server
 if (require.main === module) {
-  const server = new WebServer();
+  let options;
+  try {
+    options = parseCommandLine(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  const server = new WebServer(3000, options);
   server.start();
 } else {
   module.exports = WebServer;
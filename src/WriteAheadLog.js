@@ -0,0 +1,95 @@
+const path = require('path');
+const crypto = require('crypto');
+
+// Append-only log of committed changes. Each record is one line holding a
+// checksum and a JSON body: { lsn, changes: [{ table, op, position, row }] }.
+// Records are fsynced before a write is acknowledged, so table files only need
+// to be rewritten at checkpoints.
+class WriteAheadLog {
+  constructor(dataDir, adapter) {
+    this.filePath = path.join(dataDir, 'wal.log');
+    this.adapter = adapter;
+    this.lsn = 0;
+    this.size = 0;
+  }
+
+  static checksum(body) {
+    return crypto.createHash('sha1').update(body).digest('hex').slice(0, 8);
+  }
+
+  // Reads every intact record. A torn final record (the process died while
+  // appending it) is skipped and cut off by the next append; damage anywhere
+  // else is reported as corruption.
+  readRecords() {
+    if (!this.adapter.exists(this.filePath)) return [];
+
+    const content = this.adapter.readFile(this.filePath).toString('utf8');
+    const lines = content.split('\n');
+    const records = [];
+    let validLength = 0;
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const isLast = i === lines.length - 1 || (i === lines.length - 2 && lines[i + 1] === '');
+      if (line === '') continue;
+
+      const record = this.parseRecord(line);
+      if (!record) {
+        if (isLast) break;
+        throw new Error(`Write-ahead log ${this.filePath} is corrupted at record ${records.length + 1}`);
+      }
+
+      records.push(record);
+      validLength += Buffer.byteLength(line) + 1;
+    }
+
+    this.size = validLength;
+    if (records.length > 0) {
+      this.lsn = Math.max(this.lsn, records[records.length - 1].lsn);
+    }
+    return records;
+  }
+
+  parseRecord(line) {
+    const separator = line.indexOf(' ');
+    if (separator === -1) return null;
+
+    const checksum = line.slice(0, separator);
+    const body = line.slice(separator + 1);
+    if (WriteAheadLog.checksum(body) !== checksum) return null;
+
+    try {
+      return JSON.parse(body);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Durably appends one record and returns its log sequence number
+  append(changes) {
+    const lsn = this.lsn + 1;
+    const body = JSON.stringify({ lsn, changes });
+    const line = `${WriteAheadLog.checksum(body)} ${body}\n`;
+
+    if (this.adapter.exists(this.filePath) && this.adapter.size(this.filePath) > this.size) {
+      this.adapter.truncate(this.filePath, this.size);
+    }
+    this.adapter.appendFile(this.filePath, line);
+
+    this.lsn = lsn;
+    this.size += Buffer.byteLength(line);
+    return lsn;
+  }
+
+  // Empties the log once every change in it has been checkpointed
+  truncate() {
+    this.adapter.writeFile(this.filePath, '');
+    this.size = 0;
+  }
+
+  close() {
+    this.adapter.close(this.filePath);
+  }
+}
+
+module.exports = WriteAheadLog;
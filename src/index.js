@@ -12,7 +12,7 @@ function demo() {
   const userSchema = {
     id: { type: 'number', primaryKey: true, autoIncrement: true },
     username: { type: 'string', required: true, unique: true },
-    email: { type: 'string', required: true },
+    email: { type: 'string', required: true, format: 'email' },
     age: { type: 'number', defaultValue: 18 },
     active: { type: 'boolean', defaultValue: true },
     createdAt: { type: 'date', defaultValue: new Date() }
@@ -94,7 +94,7 @@ function demo() {
   console.log(result2.message);
   
   console.log('\n7. Table information...');
-  console.log('Tables in database:', db.listTables());
+  console.log('Tables in database:', db.listTables().map(table => table.name));
   
   console.log('\n8. Testing constraints...');
   
@@ -109,7 +109,38 @@ function demo() {
     users.insert({ username: 'david', email: 'not-an-email' });
     console.log('ERROR: Should have validated email format');
   } catch (error) {
-    console.log('✓ Validation working');
+    console.log('✓ Validation working:', error.message);
+  }
+  
+  console.log('\n9. Regression checks...');
+  
+  // Checked on a scratch database kept in memory, so the demo's files are untouched
+  const scratch = new Database('checks', { storage: 'memory' });
+  scratch.query('CREATE TABLE numbers (k INT)');
+  for (let k = 1; k <= 200; k++) scratch.query('INSERT INTO numbers VALUES (?)', [k]);
+  scratch.query('CREATE INDEX numbers_k ON numbers (k)');
+  
+  // LIKE on an indexed INT column must find what a scan finds
+  const likeIndexed = scratch.query("SELECT k FROM numbers WHERE k LIKE '1%'").data;
+  const likeScanned = scratch.query("SELECT k FROM numbers WHERE k || '' LIKE '1%'").data;
+  if (likeIndexed.length === 111 && JSON.stringify(likeIndexed) === JSON.stringify(likeScanned)) {
+    console.log('✓ LIKE on an indexed INT column matches a scan:', likeIndexed.length, 'rows');
+  } else {
+    console.log('ERROR: LIKE on an indexed INT column found', likeIndexed.length, 'rows but a scan found', likeScanned.length);
+    process.exitCode = 1;
+  }
+  
+  // ROUND must give a number for tiny and huge values, and round 1.005 up
+  const rounds = [['ROUND(0.0000001, 2)', 0], ['ROUND(0.0000001)', 0], ['ROUND(1e21, 2)', 1e21], ['ROUND(1.005, 2)', 1.01]];
+  for (const [expression, expected] of rounds) {
+    const result = scratch.query(`SELECT ${expression} AS v`);
+    const actual = result.success ? result.data[0].v : result.error;
+    if (actual === expected) {
+      console.log(`✓ ${expression} =`, actual);
+    } else {
+      console.log(`ERROR: ${expression} gave`, actual, 'instead of', expected);
+      process.exitCode = 1;
+    }
   }
   
   console.log('\n=== Demo Complete ===');
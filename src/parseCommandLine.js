@@ -0,0 +1,34 @@
+const MemoryAdapter = require('./MemoryAdapter.js');
+
+// Reads the options the REPL and web server share into Database options:
+//   --data-dir <dir> (or --data-dir=<dir>)  keep databases in dir instead of ./data
+//   --memory                               keep everything in memory until exit
+//   --lock-timeout <ms> (or =<ms>)         wait this long for another process
+// With --memory every database opened shares one MemoryAdapter, so switching
+// between databases does not lose them.
+function parseCommandLine(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inline] = args[i].split(/=(.*)/s);
+    if (flag === '--data-dir') {
+      const dir = inline !== undefined ? inline : args[++i];
+      if (!dir) {
+        throw new Error('--data-dir needs a directory');
+      }
+      options.dataDir = dir;
+    } else if (flag === '--lock-timeout') {
+      const ms = inline !== undefined ? inline : args[++i];
+      if (!/^\d+$/.test(ms || '')) {
+        throw new Error('--lock-timeout needs a whole number of milliseconds');
+      }
+      options.lockTimeout = Number(ms);
+    } else if (flag === '--memory' && inline === undefined) {
+      options.storage = new MemoryAdapter();
+    } else {
+      throw new Error(`Unknown option '${args[i]}'; use --data-dir <dir>, --memory or --lock-timeout <ms>`);
+    }
+  }
+  return options;
+}
+
+module.exports = parseCommandLine;
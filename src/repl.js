@@ -1,8 +1,12 @@
 const readline = require('readline');
 const Database = require('./Database.js');
+const MemoryAdapter = require('./MemoryAdapter.js');
+const parseCommandLine = require('./parseCommandLine.js');
 
 class REPL {
-  constructor() {
+  // options are passed to every Database opened (dataDir, storage, lockTimeout)
+  constructor(options = {}) {
+    this.options = options;
     this.rl = readline.createInterface({
       input: process.stdin,
       output: process.stdout,
@@ -15,6 +19,9 @@ class REPL {
 
   setupEvents() {
     console.log('Alpha DB - Simple RDBMS');
+    if (this.options.storage instanceof MemoryAdapter) {
+      console.log('Databases are kept in memory and lost on exit');
+    }
     console.log('Type "help" for commands, "exit" to quit\n');
     
     this.rl.prompt();
@@ -36,7 +43,18 @@ class REPL {
       
       if (input.toLowerCase().startsWith('use ')) {
         const dbName = input.substring(4).trim();
-        this.currentDB = new Database(dbName);
+        
+        // The current database stays selected when the new one cannot be opened
+        let db;
+        try {
+          db = new Database(dbName, this.options);
+        } catch (error) {
+          console.log(`Error: cannot open database '${dbName}':`, error.message);
+          this.rl.prompt();
+          return;
+        }
+        this.closeDatabase();
+        this.currentDB = db;
         console.log(`Using database '${dbName}'`);
         this.rl.prompt();
         return;
@@ -74,29 +92,70 @@ class REPL {
     });
     
     this.rl.on('close', () => {
-      process.exit(0);
+      process.exit(this.closeDatabase() ? 0 : 1);
     });
   }
 
+  // Closes the current database, if any, and returns whether that worked. Its
+  // locks are let go of even when checkpointing it fails.
+  closeDatabase() {
+    if (!this.currentDB) return true;
+    
+    const db = this.currentDB;
+    this.currentDB = null;
+    try {
+      db.close();
+      return true;
+    } catch (error) {
+      console.log(`Error closing database '${db.name}':`, error.message);
+      return false;
+    }
+  }
+
   showHelp() {
     console.log(`
 Available Commands:
   USE <database>           - Select/create database
-  CREATE TABLE <name> (...) - Create table with schema
-  INSERT INTO <table> (...) VALUES (...) - Insert record
-  SELECT * FROM <table> [WHERE ...] [ORDER BY ...] [LIMIT ...] - Query data
-  UPDATE <table> SET ... WHERE ... - Update records
-  DELETE FROM <table> [WHERE ...] - Delete records
+  CREATE TABLE <name> (...) [ENGINE=json|paged] - Create table with schema
+  INSERT INTO <table> (...) VALUES (...)[, (...)] | SELECT ... [ON CONFLICT ...] [RETURNING ...] - Insert records
+  SELECT [DISTINCT] ... FROM <table> [JOIN ... ON ...] [WHERE ...] [GROUP BY ... HAVING ...] [ORDER BY ...] [LIMIT ... [OFFSET ...]] - Query data
+  WITH [RECURSIVE] <name> AS (SELECT ...) SELECT ... - Query with named subqueries
+  UPDATE <table> SET ... WHERE ... [RETURNING ...] - Update records
+  DELETE FROM <table> [WHERE ...] [RETURNING ...] - Delete records
   DROP TABLE <table>      - Delete table
+  ALTER TABLE <table> ADD|DROP|RENAME|ALTER COLUMN ... | AUTO_INCREMENT = <n> - Change a table
+  CREATE SEQUENCE <name> [START WITH n] [INCREMENT BY n] - Create a sequence for NEXTVAL('name')
+  DROP SEQUENCE <name>    - Delete a sequence
+  CREATE [UNIQUE] INDEX <name> ON <table> (cols) - Create an index
+  DROP INDEX <name> [ON <table>] - Delete an index
+  SHOW INDEXES FROM <table> - List a table's indexes
+  CREATE [OR REPLACE] [MATERIALIZED] VIEW <name> AS SELECT ... - Create a view
+  DROP [MATERIALIZED] VIEW <name> - Delete a view
+  REFRESH MATERIALIZED VIEW <name> - Rerun a materialized view's query
+  EXPLAIN [ANALYZE] <query> - Show how a query runs
+  ANALYZE [<table>]       - Collect statistics for the query planner
+  BEGIN / COMMIT / ROLLBACK - Group statements into a transaction
+  SAVEPOINT <name> / ROLLBACK TO <name> - Partial rollback inside a transaction
   help                    - Show this help
   exit                    - Exit the REPL
 
 Examples:
   USE mydb
   CREATE TABLE users (id INT PRIMARY KEY AUTO_INCREMENT, name VARCHAR NOT NULL, age INT)
-  INSERT INTO users (name, age) VALUES ('Alice', 25)
+  INSERT INTO users (name, age) VALUES ('Alice', 25), ('Bob', 31)
+  SELECT LAST_INSERT_ID()
+  INSERT INTO users (id, name, age) VALUES (1, 'Alice', 26) ON CONFLICT (id) DO UPDATE SET age = excluded.age
   SELECT * FROM users WHERE age > 20 ORDER BY name LIMIT 10
+  CREATE TABLE orders (id INT PRIMARY KEY, user_id INT REFERENCES users(id) ON DELETE CASCADE, total INT)
+  SELECT u.name, o.total FROM users u LEFT JOIN orders o ON o.user_id = u.id
+  SELECT age, COUNT(*) AS total FROM users GROUP BY age HAVING COUNT(*) > 1
+  SELECT name, age * 12 AS months FROM users ORDER BY months DESC, name LIMIT 10 OFFSET 10
+  SELECT name FROM users WHERE id IN (SELECT user_id FROM orders)
+  SELECT UPPER(name), COALESCE(age, 0) FROM users WHERE LENGTH(name) > 3
+  SELECT name, RANK() OVER (PARTITION BY age ORDER BY name) AS rank FROM users
+  CREATE INDEX users_age_name ON users (age, name)
   UPDATE users SET age = 26 WHERE name = 'Alice'
+  UPDATE users SET age = age + 1 WHERE name = 'Alice' RETURNING age
   DELETE FROM users WHERE age < 18
     `);
   }
@@ -104,7 +163,14 @@ Examples:
 
 // Start REPL if run directly
 if (require.main === module) {
-  new REPL();
+  let options;
+  try {
+    options = parseCommandLine(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  new REPL(options);
 } else {
   module.exports = REPL;
 }
\ No newline at end of file
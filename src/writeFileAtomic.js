@@ -0,0 +1,17 @@
+const fs = require('fs');
+
+// Writes through a temporary file and renames it into place, so readers (and a
+// restart after a crash) see either the old or the new content, never a mix.
+function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.tmp`;
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempPath, filePath);
+}
+
+module.exports = writeFileAtomic;